@@ -0,0 +1,145 @@
+// backend/auth.js
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+// Organizers manage an event; scorers may only score the games or court they
+// are assigned to. Requests without a token are treated as read-only viewers.
+class AccessToken {
+  constructor(tournamentId, role, scope = {}) {
+    this.id = uuidv4();
+    this.token = crypto.randomBytes(24).toString('hex');
+    this.tournamentId = tournamentId;
+    this.role = role; // organizer, scorer
+    this.label = scope.label || null;
+    this.gameIds = scope.gameIds || [];
+    this.court = scope.court || null;
+    this.createdAt = new Date();
+    this.revokedAt = null;
+  }
+
+  // Scorers without a game or court assignment may score any game of the event
+  covers(game) {
+    if (this.role === 'organizer') return true;
+    if (this.gameIds.length === 0 && this.court === null) return true;
+    return this.gameIds.includes(game.id) || (this.court !== null && game.court === this.court);
+  }
+
+  toRecord() {
+    return JSON.parse(JSON.stringify(this));
+  }
+
+  static fromRecord(record) {
+    const accessToken = Object.assign(Object.create(AccessToken.prototype), record);
+    accessToken.createdAt = new Date(record.createdAt);
+    accessToken.revokedAt = record.revokedAt ? new Date(record.revokedAt) : null;
+    return accessToken;
+  }
+
+  // Scorer listing for organizers; the token value is only shown on creation
+  getSummary() {
+    return {
+      id: this.id,
+      tournamentId: this.tournamentId,
+      role: this.role,
+      label: this.label,
+      gameIds: this.gameIds,
+      court: this.court,
+      createdAt: this.createdAt,
+      revokedAt: this.revokedAt
+    };
+  }
+}
+
+class AccessControl {
+  constructor(tokens) {
+    this.tokens = tokens; // Repository of AccessToken
+  }
+
+  issue(tournamentId, role, scope) {
+    const accessToken = new AccessToken(tournamentId, role, scope);
+    this.tokens.set(accessToken.id, accessToken);
+    return accessToken;
+  }
+
+  find(tokenValue) {
+    if (!tokenValue) return null;
+    for (const accessToken of this.tokens.values()) {
+      if (accessToken.token === tokenValue && !accessToken.revokedAt) {
+        return accessToken;
+      }
+    }
+    return null;
+  }
+
+  hasOrganizer(tournamentId) {
+    return Array.from(this.tokens.values()).some(t =>
+      t.tournamentId === tournamentId && t.role === 'organizer' && !t.revokedAt
+    );
+  }
+
+  // scopeIds: the tournament itself plus any event that owns it
+  canManage(tokenValue, scopeIds) {
+    const accessToken = this.find(tokenValue);
+    return !!accessToken && accessToken.role === 'organizer' &&
+      scopeIds.includes(accessToken.tournamentId);
+  }
+
+  canScore(tokenValue, scopeIds, game) {
+    const accessToken = this.find(tokenValue);
+    return !!accessToken && scopeIds.includes(accessToken.tournamentId) &&
+      accessToken.covers(game);
+  }
+
+  listScorers(tournamentId) {
+    return Array.from(this.tokens.values())
+      .filter(t => t.tournamentId === tournamentId && t.role === 'scorer')
+      .map(t => t.getSummary());
+  }
+
+  revoke(tournamentId, id) {
+    const accessToken = this.tokens.get(id);
+    if (!accessToken || accessToken.tournamentId !== tournamentId || accessToken.role !== 'scorer') {
+      return null;
+    }
+    if (!accessToken.revokedAt) {
+      accessToken.revokedAt = new Date();
+      this.tokens.save(accessToken);
+    }
+    return accessToken;
+  }
+
+  // Forget every token of a deleted event
+  removeAll(tournamentId) {
+    Array.from(this.tokens.values())
+      .filter(t => t.tournamentId === tournamentId)
+      .forEach(t => this.tokens.delete(t.id));
+  }
+}
+
+// Tokens travel as `Authorization: Bearer <token>` or `X-Access-Token`
+function getRequestToken(req) {
+  const header = req.get('Authorization') || '';
+  if (header.startsWith('Bearer ')) {
+    return header.slice(7).trim();
+  }
+  return req.get('X-Access-Token') || null;
+}
+
+// Tokens issued without anyone asking (e.g. at startup) are handed over
+// through a file only the server's user can read, one JSON line per token,
+// never through the log. The organizer deletes the file once collected.
+function writeIssuedToken(filePath, entry) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.appendFileSync(filePath, JSON.stringify(entry) + '\n', { mode: 0o600 });
+  // appendFileSync only applies the mode when it creates the file
+  fs.chmodSync(filePath, 0o600);
+}
+
+module.exports = {
+  AccessToken,
+  AccessControl,
+  getRequestToken,
+  writeIssuedToken
+};
@@ -0,0 +1,328 @@
+// backend/bracket.js
+const { v4: uuidv4 } = require('uuid');
+
+// Slot resolution results for matches whose teams are not known yet
+const BYE = 'bye';
+const PENDING = 'pending';
+
+class BracketTournament {
+  constructor(name, teams, organizerId, options = {}) {
+    this.id = uuidv4();
+    this.name = name;
+    this.organizerId = organizerId;
+    this.format = options.format === 'double' ? 'double' : 'single';
+    this.grandFinalReset = this.format === 'double' && options.grandFinalReset !== false;
+
+    // Teams are seeded in the order given unless random seeding is requested.
+    // Entries are plain names or { name, registryId } for registered teams.
+    const seeded = options.seeding === 'random' ? shuffle(teams) : [...teams];
+    this.teams = seeded.map((entry, index) => ({
+      id: uuidv4(),
+      name: typeof entry === 'string' ? entry : entry.name,
+      registryId: typeof entry === 'string' ? null : entry.registryId || null,
+      seed: index + 1,
+      losses: 0,
+      eliminated: false
+    }));
+
+    this.bracketSize = nextPowerOfTwo(this.teams.length);
+    this.matches = this.generateBracket();
+    this.championId = null;
+    this.status = 'in-progress';
+    this.createdAt = new Date();
+
+    this.refresh();
+  }
+
+  generateBracket() {
+    const matches = [];
+    const rounds = Math.log2(this.bracketSize);
+
+    const addMatch = (bracket, round, position, sources) => {
+      const match = {
+        id: uuidv4(),
+        bracket, // winners, losers, grand-final, grand-final-reset
+        round,
+        position,
+        sources,
+        team1: null,
+        team2: null,
+        status: 'pending', // pending, in-progress, completed, bye, cancelled
+        gameId: null,
+        winnerId: null,
+        loserId: null,
+        completedAt: null
+      };
+      matches.push(match);
+      return match;
+    };
+
+    // Winners bracket: round 1 follows the standard seed order so that
+    // top seeds meet as late as possible and receive the byes
+    const seedOrder = getSeedOrder(this.bracketSize);
+    const winnersRounds = [];
+    let previous = [];
+    for (let round = 1; round <= rounds; round++) {
+      const count = this.bracketSize / Math.pow(2, round);
+      const current = [];
+      for (let position = 0; position < count; position++) {
+        const sources = round === 1
+          ? [
+            { type: 'seed', seed: seedOrder[position * 2] },
+            { type: 'seed', seed: seedOrder[position * 2 + 1] }
+          ]
+          : [
+            { type: 'winner', matchId: previous[position * 2].id },
+            { type: 'winner', matchId: previous[position * 2 + 1].id }
+          ];
+        current.push(addMatch('winners', round, position, sources));
+      }
+      winnersRounds.push(current);
+      previous = current;
+    }
+
+    if (this.format === 'single') {
+      return matches;
+    }
+
+    // Losers bracket: odd rounds pair up survivors, even rounds bring in
+    // the teams that just dropped out of the winners bracket
+    let losersChampionSource = { type: 'loser', matchId: winnersRounds[0][0].id };
+    if (rounds > 1) {
+      let survivors = [];
+      let losersRound = 1;
+      for (let stage = 1; stage < rounds; stage++) {
+        const pairing = [];
+        const feeders = stage === 1
+          ? winnersRounds[0].map(m => ({ type: 'loser', matchId: m.id }))
+          : survivors.map(m => ({ type: 'winner', matchId: m.id }));
+        for (let position = 0; position < feeders.length / 2; position++) {
+          pairing.push(addMatch('losers', losersRound, position, [
+            feeders[position * 2],
+            feeders[position * 2 + 1]
+          ]));
+        }
+        losersRound++;
+
+        // Drop-ins are crossed over to avoid immediate rematches
+        const droppingIn = [...winnersRounds[stage]].reverse();
+        const merged = pairing.map((m, position) => addMatch('losers', losersRound, position, [
+          { type: 'winner', matchId: m.id },
+          { type: 'loser', matchId: droppingIn[position].id }
+        ]));
+        losersRound++;
+        survivors = merged;
+      }
+      losersChampionSource = { type: 'winner', matchId: survivors[0].id };
+    }
+
+    const winnersFinal = winnersRounds[rounds - 1][0];
+    const grandFinal = addMatch('grand-final', 1, 0, [
+      { type: 'winner', matchId: winnersFinal.id },
+      losersChampionSource
+    ]);
+
+    if (this.grandFinalReset) {
+      // Only played if the losers bracket champion wins the grand final
+      addMatch('grand-final-reset', 1, 0, [
+        { type: 'reset', matchId: grandFinal.id, slot: 1 },
+        { type: 'reset', matchId: grandFinal.id, slot: 2 }
+      ]);
+    }
+
+    return matches;
+  }
+
+  resolveSource(source) {
+    if (source.type === 'seed') {
+      return this.teams.find(t => t.seed === source.seed) || BYE;
+    }
+
+    const match = this.matches.find(m => m.id === source.matchId);
+    if (source.type === 'reset') {
+      if (match.status !== 'completed') return PENDING;
+      if (match.winnerId === match.team1.id) return BYE;
+      return this.teams.find(t => t.id === match[`team${source.slot}`].id);
+    }
+
+    if (match.status === 'bye') {
+      if (source.type === 'loser' || !match.winnerId) return BYE;
+      return this.teams.find(t => t.id === match.winnerId);
+    }
+    if (match.status !== 'completed') return PENDING;
+
+    const teamId = source.type === 'winner' ? match.winnerId : match.loserId;
+    return this.teams.find(t => t.id === teamId);
+  }
+
+  // Fill in every match that is not yet being played from its sources,
+  // advancing teams through byes as they are found
+  refresh() {
+    for (const match of this.matches) {
+      if (match.status !== 'pending' && match.status !== 'bye') continue;
+
+      const [slot1, slot2] = match.sources.map(source => this.resolveSource(source));
+      match.team1 = toMatchTeam(slot1);
+      match.team2 = toMatchTeam(slot2);
+      match.status = 'pending';
+      match.winnerId = null;
+
+      if (slot1 === BYE && slot2 === BYE) {
+        match.status = match.bracket === 'grand-final-reset' ? 'cancelled' : 'bye';
+      } else if (slot1 === BYE && slot2 !== PENDING) {
+        match.status = 'bye';
+        match.winnerId = slot2.id;
+      } else if (slot2 === BYE && slot1 !== PENDING) {
+        match.status = 'bye';
+        match.winnerId = slot1.id;
+      }
+    }
+
+    this.updateChampion();
+  }
+
+  updateChampion() {
+    const reset = this.matches.find(m => m.bracket === 'grand-final-reset');
+    const grandFinal = this.matches.find(m => m.bracket === 'grand-final');
+    let finalMatch;
+
+    if (reset && reset.status !== 'cancelled') {
+      finalMatch = reset;
+    } else if (grandFinal) {
+      finalMatch = grandFinal;
+    } else {
+      finalMatch = this.matches.find(m =>
+        m.bracket === 'winners' && m.round === Math.log2(this.bracketSize)
+      );
+    }
+
+    const decided = finalMatch.status === 'completed' || finalMatch.status === 'bye';
+    this.championId = decided ? finalMatch.winnerId : null;
+    this.status = this.championId ? 'completed' : 'in-progress';
+  }
+
+  isReady(match) {
+    return match.status === 'pending' && !!match.team1 && !!match.team2;
+  }
+
+  recordResult(matchId, team1Score, team2Score) {
+    const match = this.matches.find(m => m.id === matchId);
+    if (!match) return null;
+
+    match.team1.score = team1Score;
+    match.team2.score = team2Score;
+    match.status = 'completed';
+    match.completedAt = new Date();
+
+    const winner = team1Score > team2Score ? match.team1 : match.team2;
+    const loser = team1Score > team2Score ? match.team2 : match.team1;
+    match.winnerId = winner.id;
+    match.loserId = loser.id;
+
+    const loserTeam = this.teams.find(t => t.id === loser.id);
+    if (loserTeam) {
+      loserTeam.losses++;
+      loserTeam.eliminated = loserTeam.losses >= (this.format === 'double' ? 2 : 1) ||
+        (match.bracket === 'grand-final' && !this.grandFinalReset);
+    }
+
+    this.refresh();
+    return match;
+  }
+
+  getDependentMatches(matchId) {
+    return this.matches.filter(m => m.sources.some(s => s.matchId === matchId));
+  }
+
+  // A result can only be taken back while no later match has used it
+  canReopen(matchId) {
+    return this.getDependentMatches(matchId).every(m =>
+      m.status === 'pending' || m.status === 'bye' || m.status === 'cancelled'
+    );
+  }
+
+  reopenMatch(matchId) {
+    const match = this.matches.find(m => m.id === matchId);
+    if (!match || match.status !== 'completed' || !this.canReopen(matchId)) return null;
+
+    const loserTeam = this.teams.find(t => t.id === match.loserId);
+    if (loserTeam) {
+      loserTeam.losses = Math.max(0, loserTeam.losses - 1);
+      loserTeam.eliminated = loserTeam.losses >= (this.format === 'double' ? 2 : 1);
+    }
+
+    match.status = 'in-progress';
+    match.winnerId = null;
+    match.loserId = null;
+    match.completedAt = null;
+
+    // A cancelled reset has to be reconsidered once the grand final is reopened
+    this.matches
+      .filter(m => m.status === 'cancelled')
+      .forEach(m => { m.status = 'pending'; });
+
+    this.refresh();
+    return match;
+  }
+
+  toRecord() {
+    return JSON.parse(JSON.stringify(this));
+  }
+
+  static fromRecord(record) {
+    const tournament = Object.assign(Object.create(BracketTournament.prototype), record);
+    tournament.createdAt = new Date(record.createdAt);
+    return tournament;
+  }
+
+  getBracket() {
+    const champion = this.teams.find(t => t.id === this.championId) || null;
+    return {
+      tournament: {
+        id: this.id,
+        name: this.name,
+        format: this.format,
+        grandFinalReset: this.grandFinalReset,
+        status: this.status
+      },
+      champion,
+      teams: this.teams,
+      matches: this.matches.map(match => ({
+        ...match,
+        ready: this.isReady(match)
+      }))
+    };
+  }
+}
+
+function toMatchTeam(slot) {
+  if (slot === BYE || slot === PENDING) return null;
+  return { id: slot.id, name: slot.name, registryId: slot.registryId || null, seed: slot.seed, score: 0 };
+}
+
+function nextPowerOfTwo(count) {
+  let size = 2;
+  while (size < count) size *= 2;
+  return size;
+}
+
+// Standard bracket order, e.g. [1, 8, 4, 5, 2, 7, 3, 6] for 8 slots
+function getSeedOrder(size) {
+  let order = [1];
+  while (order.length < size) {
+    const total = order.length * 2 + 1;
+    order = order.flatMap(seed => [seed, total - seed]);
+  }
+  return order;
+}
+
+function shuffle(items) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+module.exports = BracketTournament;
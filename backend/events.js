@@ -0,0 +1,86 @@
+// backend/events.js
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+const DIVISION_FORMATS = ['round-robin', 'pools', 'bracket'];
+
+// Join codes skip letters and digits that are easy to mix up (0/O, 1/I)
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const JOIN_CODE_LENGTH = 6;
+
+// Event day with several divisions (3.0, 3.5, mixed doubles, ...) at one
+// venue. Each division runs its own format through a regular
+// RoundRobinTournament, PoolPlayEvent or BracketTournament referenced by
+// `tournamentId`; the event holds what they share: the venue's courts, the
+// join code spectators use and the organizer's access.
+class MultiDivisionEvent {
+  constructor(name, organizerId, options = {}) {
+    this.id = uuidv4();
+    this.name = name;
+    this.organizerId = organizerId;
+    this.courts = options.courts || 1; // courts at the venue, numbered from 1
+    this.joinCode = createJoinCode();
+    this.divisions = [];
+    this.createdAt = new Date();
+  }
+
+  // `courts` lists the venue courts the division plays on (all by default);
+  // `settings` are the game settings its matches start with unless the
+  // organizer gives others
+  addDivision(name, format, tournamentId, options = {}) {
+    const division = {
+      id: uuidv4(),
+      name,
+      format,
+      tournamentId,
+      courts: options.courts || null,
+      settings: options.settings || null,
+      createdAt: new Date()
+    };
+    this.divisions.push(division);
+    return division;
+  }
+
+  getDivision(divisionId) {
+    return this.divisions.find(division => division.id === divisionId);
+  }
+
+  getDivisionByTournament(tournamentId) {
+    return this.divisions.find(division => division.tournamentId === tournamentId);
+  }
+
+  getDivisionCourts(division) {
+    return division.courts || Array.from({ length: this.courts }, (_, index) => index + 1);
+  }
+
+  toRecord() {
+    return JSON.parse(JSON.stringify(this));
+  }
+
+  static fromRecord(record) {
+    const event = Object.assign(Object.create(MultiDivisionEvent.prototype), record);
+    event.createdAt = new Date(record.createdAt);
+    event.divisions = record.divisions.map(division => ({ ...division, createdAt: new Date(division.createdAt) }));
+    return event;
+  }
+
+  getSummary() {
+    return {
+      id: this.id,
+      name: this.name,
+      courts: this.courts,
+      joinCode: this.joinCode,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+function createJoinCode() {
+  return Array.from({ length: JOIN_CODE_LENGTH }, () => JOIN_CODE_ALPHABET[crypto.randomInt(JOIN_CODE_ALPHABET.length)]).join('');
+}
+
+module.exports = {
+  DIVISION_FORMATS,
+  MultiDivisionEvent,
+  createJoinCode
+};
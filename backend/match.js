@@ -0,0 +1,153 @@
+// backend/match.js
+const { v4: uuidv4 } = require('uuid');
+const { rulesFromSettings, getEndChangePoint } = require('./rules');
+
+// A match made of several games (best of 1, 3 or 5). The match only keeps
+// game ids and results; the Game objects themselves live in the games store.
+class Match {
+  constructor(tournamentId, team1Name, team2Name, options = {}) {
+    this.id = uuidv4();
+    this.tournamentId = tournamentId;
+    const settings = options.settings || {};
+    this.team1 = {
+      name: team1Name,
+      registryId: settings.team1RegistryId || null,
+      gamesWon: 0
+    };
+    this.team2 = {
+      name: team2Name,
+      registryId: settings.team2RegistryId || null,
+      gamesWon: 0
+    };
+    this.bestOf = [1, 3, 5].includes(options.bestOf) ? options.bestOf : 3;
+    this.gameSettings = settings;
+    this.gameIds = [];
+    this.results = []; // { gameId, gameNumber, team1Score, team2Score, winner }
+    this.status = 'in-progress'; // in-progress, completed
+    this.winner = null;
+    this.startedAt = new Date();
+    this.completedAt = null;
+  }
+
+  get gamesToWin() {
+    return Math.ceil(this.bestOf / 2);
+  }
+
+  get currentGameId() {
+    return this.gameIds[this.gameIds.length - 1] || null;
+  }
+
+  // The deciding game is the last one that can be played
+  isDecidingGame(gameNumber) {
+    return this.bestOf > 1 && gameNumber === this.bestOf;
+  }
+
+  // Settings for the next game: the serve alternates from game to game and
+  // the deciding game switches ends at the rule set's end-change point
+  getNextGameSettings() {
+    const gameNumber = this.gameIds.length + 1;
+    const firstServer = this.gameSettings.servingTeam || 1;
+    const rules = this.gameSettings.rules || rulesFromSettings(this.gameSettings);
+
+    return {
+      ...this.gameSettings,
+      servingTeam: gameNumber % 2 === 1 ? firstServer : 3 - firstServer,
+      serverNumber: 1,
+      matchId: this.id,
+      gameNumber,
+      endChangeAt: this.isDecidingGame(gameNumber) ? getEndChangePoint(rules) : null
+    };
+  }
+
+  addGame(gameId) {
+    this.gameIds.push(gameId);
+  }
+
+  // Record a finished game; returns true when the match is decided
+  recordGame(gameState) {
+    if (this.status === 'completed' || this.results.some(r => r.gameId === gameState.id)) {
+      return this.status === 'completed';
+    }
+
+    this.results.push({
+      gameId: gameState.id,
+      gameNumber: this.results.length + 1,
+      team1Score: gameState.team1.score,
+      team2Score: gameState.team2.score,
+      winner: gameState.winner
+    });
+    this[`team${gameState.winner}`].gamesWon++;
+
+    if (this[`team${gameState.winner}`].gamesWon >= this.gamesToWin) {
+      this.status = 'completed';
+      this.winner = gameState.winner;
+      this.completedAt = new Date();
+    }
+
+    return this.status === 'completed';
+  }
+
+  // Take back the result of a game that was reopened by an undo
+  reopenGame(gameId) {
+    const index = this.results.findIndex(r => r.gameId === gameId);
+    if (index === -1) return false;
+
+    const [result] = this.results.splice(index, 1);
+    this[`team${result.winner}`].gamesWon--;
+    this.status = 'in-progress';
+    this.winner = null;
+    this.completedAt = null;
+    return true;
+  }
+
+  // End the match early; the games already played stand
+  retire(retiredTeam) {
+    this.status = 'completed';
+    this.winner = 3 - retiredTeam;
+    this.retiredTeam = retiredTeam;
+    this.completedAt = new Date();
+  }
+
+  removeGame(gameId) {
+    this.gameIds = this.gameIds.filter(id => id !== gameId);
+  }
+
+  getTotalPoints() {
+    return this.results.reduce((totals, r) => ({
+      team1: totals.team1 + r.team1Score,
+      team2: totals.team2 + r.team2Score
+    }), { team1: 0, team2: 0 });
+  }
+
+  toRecord() {
+    return JSON.parse(JSON.stringify(this));
+  }
+
+  static fromRecord(record) {
+    const match = Object.assign(Object.create(Match.prototype), record);
+    match.startedAt = new Date(record.startedAt);
+    match.completedAt = record.completedAt ? new Date(record.completedAt) : null;
+    return match;
+  }
+
+  getMatchState() {
+    return {
+      id: this.id,
+      tournamentId: this.tournamentId,
+      team1: this.team1,
+      team2: this.team2,
+      bestOf: this.bestOf,
+      gamesToWin: this.gamesToWin,
+      gameIds: this.gameIds,
+      currentGameId: this.currentGameId,
+      results: this.results,
+      totalPoints: this.getTotalPoints(),
+      status: this.status,
+      winner: this.winner,
+      startedAt: this.startedAt,
+      completedAt: this.completedAt
+    };
+  }
+}
+
+module.exports = Match;
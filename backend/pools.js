@@ -0,0 +1,177 @@
+// backend/pools.js
+const { v4: uuidv4 } = require('uuid');
+const RoundRobinTournament = require('./roundRobin');
+const BracketTournament = require('./bracket');
+
+// Multi-pool event: the field is split into round-robin pools and the top
+// finishers advance into a playoff bracket. The pools and the playoff are
+// regular RoundRobinTournament / BracketTournament instances referenced by id.
+class PoolPlayEvent {
+  constructor(name, teams, organizerId, options = {}) {
+    this.id = uuidv4();
+    this.name = name;
+    this.organizerId = organizerId;
+    this.teams = [...teams]; // in seed order; names or { name, registryId }
+    this.poolCount = options.poolCount || Math.max(1, Math.round(teams.length / 4));
+    this.seeding = options.seeding === 'random' ? 'random' : 'snake';
+    this.advancePerPool = options.advancePerPool || 2;
+    this.wildcards = options.wildcards || 0; // best next-placed teams across pools
+    this.playoffFormat = options.playoffFormat === 'double' ? 'double' : 'single';
+    this.pools = []; // { id, name }
+    this.qualifiers = [];
+    this.playoffId = null;
+    this.status = 'pool-play'; // pool-play, playoffs
+    this.createdAt = new Date();
+  }
+
+  // Deal teams into pools and create a round-robin for each; returns the new pools
+  createPools() {
+    const assignments = Array.from({ length: this.poolCount }, () => []);
+    const ordered = this.seeding === 'random' ? shuffle(this.teams) : this.teams;
+
+    ordered.forEach((team, index) => {
+      const pass = Math.floor(index / this.poolCount);
+      const offset = index % this.poolCount;
+      // Snake seeding reverses direction on every pass: A B C C B A A B C ...
+      const poolIndex = this.seeding === 'snake' && pass % 2 === 1
+        ? this.poolCount - 1 - offset
+        : offset;
+      assignments[poolIndex].push(team);
+    });
+
+    const pools = assignments.map((poolTeams, index) => {
+      const poolName = `Pool ${String.fromCharCode(65 + index)}`;
+      const pool = new RoundRobinTournament(`${this.name} - ${poolName}`, poolTeams, this.organizerId);
+      pool.poolEventId = this.id;
+      pool.poolName = poolName;
+      return pool;
+    });
+
+    this.pools = pools.map(pool => ({ id: pool.id, name: pool.poolName }));
+    return pools;
+  }
+
+  isPoolPlayComplete(pools) {
+    return pools.length > 0 && pools.every(pool => pool.status === 'completed');
+  }
+
+  // Rank the teams that finished in a given place across all pools. Pools of
+  // different sizes play different numbers of matches, so records are
+  // compared per match played using the round-robin ranking rules.
+  rankPlaceAcrossPools(pools, place) {
+    const entries = [];
+    pools.forEach((pool, poolIndex) => {
+      const ranking = pool.rankings[place - 1];
+      if (!ranking) return;
+
+      const played = Math.max(1, ranking.gamesWon + ranking.gamesLost);
+      entries.push({
+        poolId: pool.id,
+        poolName: pool.poolName,
+        poolIndex,
+        poolRank: place,
+        teamId: ranking.teamId,
+        teamName: ranking.teamName,
+        registryId: (pool.teams.find(t => t.id === ranking.teamId) || {}).registryId || null,
+        gamesWon: ranking.gamesWon / played,
+        pointDifference: ranking.pointDifference / played,
+        pointsScored: ranking.pointsScored / played
+      });
+    });
+
+    return entries.sort((a, b) =>
+      RoundRobinTournament.compareRecords(a, b) || a.poolIndex - b.poolIndex
+    );
+  }
+
+  // Direct qualifiers by place, followed by the best wildcards
+  calculateQualifiers(pools) {
+    const qualifiers = [];
+
+    for (let place = 1; place <= this.advancePerPool; place++) {
+      this.rankPlaceAcrossPools(pools, place).forEach(entry => {
+        qualifiers.push({ ...entry, qualifiedBy: 'place' });
+      });
+    }
+
+    if (this.wildcards > 0) {
+      this.rankPlaceAcrossPools(pools, this.advancePerPool + 1)
+        .slice(0, this.wildcards)
+        .forEach(entry => {
+          qualifiers.push({ ...entry, qualifiedBy: 'wildcard' });
+        });
+    }
+
+    return qualifiers.map((entry, index) => ({
+      seed: index + 1,
+      poolId: entry.poolId,
+      poolName: entry.poolName,
+      poolRank: entry.poolRank,
+      teamId: entry.teamId,
+      teamName: entry.teamName,
+      registryId: entry.registryId,
+      qualifiedBy: entry.qualifiedBy
+    }));
+  }
+
+  // Lock in the qualifiers and build the playoff bracket from them
+  createPlayoff(pools) {
+    if (this.playoffId || !this.isPoolPlayComplete(pools)) return null;
+
+    this.qualifiers = this.calculateQualifiers(pools);
+    if (this.qualifiers.length < 2) return null;
+
+    const playoff = new BracketTournament(
+      `${this.name} - Playoffs`,
+      this.qualifiers.map(q => ({ name: q.teamName, registryId: q.registryId })),
+      this.organizerId,
+      { format: this.playoffFormat }
+    );
+    playoff.poolEventId = this.id;
+
+    this.playoffId = playoff.id;
+    this.status = 'playoffs';
+    return playoff;
+  }
+
+  toRecord() {
+    return JSON.parse(JSON.stringify(this));
+  }
+
+  static fromRecord(record) {
+    const event = Object.assign(Object.create(PoolPlayEvent.prototype), record);
+    event.createdAt = new Date(record.createdAt);
+    return event;
+  }
+
+  getOverview(pools, playoff) {
+    return {
+      event: {
+        id: this.id,
+        name: this.name,
+        status: this.status,
+        seeding: this.seeding,
+        advancePerPool: this.advancePerPool,
+        wildcards: this.wildcards,
+        playoffFormat: this.playoffFormat
+      },
+      pools: pools.map(pool => ({
+        name: pool.poolName,
+        ...pool.getStandings()
+      })),
+      qualifiers: this.qualifiers,
+      playoff: playoff ? playoff.getBracket() : null
+    };
+  }
+}
+
+function shuffle(items) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+module.exports = PoolPlayEvent;
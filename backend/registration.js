@@ -0,0 +1,175 @@
+// backend/registration.js
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const RoundRobinTournament = require('./roundRobin');
+
+// Open sign-up phase ahead of a round-robin. Teams register through a shared
+// link; once `capacity` teams are in, later sign-ups go on the waitlist. On
+// event day teams check in, and starting the event builds the round-robin
+// from the checked-in teams, giving the places of no-shows to checked-in
+// teams from the waitlist.
+class Registration {
+  constructor(name, organizerId, options = {}) {
+    this.id = uuidv4();
+    this.name = name;
+    this.organizerId = organizerId;
+    this.capacity = options.capacity || null; // no waitlist without a capacity
+    // Passed on to the round-robin when the event starts
+    this.eventOptions = {
+      courts: options.courts,
+      matchScoring: options.matchScoring,
+      outcomeScoring: options.outcomeScoring
+    };
+    this.entries = [];
+    this.status = 'open'; // open, closed, started
+    this.roundRobinId = null;
+    this.createdAt = new Date();
+  }
+
+  // Entries holding a place, in sign-up order
+  getField() {
+    return this.entries.filter(entry => entry.status === 'registered');
+  }
+
+  getWaitlist() {
+    return this.entries.filter(entry => entry.status === 'waitlisted');
+  }
+
+  getEntry(entryId) {
+    return this.entries.find(entry => entry.id === entryId);
+  }
+
+  // Team names are unique among the teams still entered
+  findEntryByName(name) {
+    const key = name.trim().toLowerCase();
+    return this.entries.find(entry =>
+      ['registered', 'waitlisted'].includes(entry.status) && entry.name.toLowerCase() === key);
+  }
+
+  isFull() {
+    return this.capacity !== null && this.getField().length >= this.capacity;
+  }
+
+  // Add a team; it is waitlisted when the field is full. The entry token
+  // lets the team check in or withdraw from the sign-up link later.
+  register(name, players, contact) {
+    const entry = {
+      id: uuidv4(),
+      name: name.trim(),
+      players: players.map(player => player.trim()),
+      contact: { email: contact.email || null, phone: contact.phone || null },
+      status: this.isFull() ? 'waitlisted' : 'registered', // registered, waitlisted, withdrawn, no-show
+      checkedInAt: null,
+      registeredAt: new Date(),
+      promotedAt: null,
+      token: crypto.randomBytes(24).toString('hex')
+    };
+    this.entries.push(entry);
+    return entry;
+  }
+
+  // Withdraw an entry; a place it frees goes to the first team on the
+  // waitlist. Returns the promoted entry, if any.
+  withdraw(entry) {
+    const heldPlace = entry.status === 'registered';
+    entry.status = 'withdrawn';
+    entry.checkedInAt = null;
+    return heldPlace ? this.promoteFromWaitlist() : null;
+  }
+
+  promoteFromWaitlist() {
+    if (this.isFull()) return null;
+    const next = this.getWaitlist()[0];
+    if (!next) return null;
+    next.status = 'registered';
+    next.promotedAt = new Date();
+    return next;
+  }
+
+  // Waitlisted teams can check in too, to stand by for no-shows
+  checkIn(entry) {
+    entry.checkedInAt = entry.checkedInAt || new Date();
+    return entry;
+  }
+
+  undoCheckIn(entry) {
+    entry.checkedInAt = null;
+    return entry;
+  }
+
+  // Who plays if the event starts now: checked-in registered teams, plus
+  // checked-in waitlisted teams in waitlist order for the open places
+  getStartingField() {
+    const field = this.getField();
+    const present = field.filter(entry => entry.checkedInAt);
+    const noShows = field.filter(entry => !entry.checkedInAt);
+    const places = this.capacity === null ? 0 : this.capacity - present.length;
+    const replacements = this.getWaitlist().filter(entry => entry.checkedInAt).slice(0, Math.max(0, places));
+    return { teams: [...present, ...replacements], noShows, replacements };
+  }
+
+  // Create the round-robin from the starting field; null with fewer than two teams
+  start() {
+    const { teams, noShows, replacements } = this.getStartingField();
+    if (teams.length < 2) return null;
+
+    const now = new Date();
+    noShows.forEach(entry => { entry.status = 'no-show'; });
+    replacements.forEach(entry => {
+      entry.status = 'registered';
+      entry.promotedAt = now;
+    });
+
+    const tournament = new RoundRobinTournament(this.name, teams.map(entry => entry.name), this.organizerId, this.eventOptions);
+    tournament.registrationId = this.id;
+    this.status = 'started';
+    this.roundRobinId = tournament.id;
+    return { tournament, noShows, replacements };
+  }
+
+  toRecord() {
+    return JSON.parse(JSON.stringify(this));
+  }
+
+  static fromRecord(record) {
+    const registration = Object.assign(Object.create(Registration.prototype), record);
+    registration.createdAt = new Date(record.createdAt);
+    registration.entries = record.entries.map(entry => ({
+      ...entry,
+      checkedInAt: entry.checkedInAt ? new Date(entry.checkedInAt) : null,
+      registeredAt: new Date(entry.registeredAt),
+      promotedAt: entry.promotedAt ? new Date(entry.promotedAt) : null
+    }));
+    return registration;
+  }
+
+  // Public view behind the sign-up link: no contact details or entry tokens.
+  // Organizers pass `withContacts` to see how to reach each team.
+  getSummary(withContacts = false) {
+    const waitlist = this.getWaitlist();
+    return {
+      id: this.id,
+      name: this.name,
+      status: this.status,
+      capacity: this.capacity,
+      registeredCount: this.getField().length,
+      waitlistCount: waitlist.length,
+      checkedInCount: this.entries.filter(entry => entry.checkedInAt && ['registered', 'waitlisted'].includes(entry.status)).length,
+      roundRobinId: this.roundRobinId,
+      createdAt: this.createdAt,
+      entries: this.entries.map(entry => this.getEntrySummary(entry, withContacts))
+    };
+  }
+
+  getEntrySummary(entry, withContacts = false) {
+    const { token, contact, ...summary } = entry;
+    const position = this.getWaitlist().indexOf(entry);
+    return {
+      ...summary,
+      waitlistPosition: position === -1 ? null : position + 1,
+      ...(withContacts ? { contact } : {})
+    };
+  }
+}
+
+module.exports = Registration;
@@ -0,0 +1,188 @@
+// backend/registry.js
+const { v4: uuidv4 } = require('uuid');
+
+const DEFAULT_RATING = 1500;
+const K_FACTOR = 32;
+// New players move faster until their rating settles
+const PROVISIONAL_K_FACTOR = 48;
+const PROVISIONAL_MATCHES = 10;
+
+class Player {
+  constructor(name, rating) {
+    this.id = uuidv4();
+    this.name = name;
+    this.rating = rating || DEFAULT_RATING;
+    this.matchesPlayed = 0;
+    this.wins = 0;
+    this.losses = 0;
+    this.history = []; // { sourceId, tournamentId, opponent, result, rating, delta, recordedAt }
+    this.createdAt = new Date();
+  }
+
+  get kFactor() {
+    return this.matchesPlayed < PROVISIONAL_MATCHES ? PROVISIONAL_K_FACTOR : K_FACTOR;
+  }
+
+  toRecord() {
+    return JSON.parse(JSON.stringify(this));
+  }
+
+  static fromRecord(record) {
+    const player = Object.assign(Object.create(Player.prototype), record);
+    player.createdAt = new Date(record.createdAt);
+    return player;
+  }
+
+  getSummary() {
+    return {
+      id: this.id,
+      name: this.name,
+      rating: Math.round(this.rating),
+      matchesPlayed: this.matchesPlayed,
+      wins: this.wins,
+      losses: this.losses,
+      provisional: this.matchesPlayed < PROVISIONAL_MATCHES,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+// A registered doubles pairing (or any named group of players)
+class RegisteredTeam {
+  constructor(name, playerIds) {
+    this.id = uuidv4();
+    this.name = name;
+    this.playerIds = playerIds;
+    this.createdAt = new Date();
+  }
+
+  toRecord() {
+    return JSON.parse(JSON.stringify(this));
+  }
+
+  static fromRecord(record) {
+    const team = Object.assign(Object.create(RegisteredTeam.prototype), record);
+    team.createdAt = new Date(record.createdAt);
+    return team;
+  }
+}
+
+// Players and teams that carry over between events. Event teams point at a
+// registry entry through `registryId`, which may be a player or a team.
+class Registry {
+  constructor(players, teams) {
+    this.players = players; // Repository of Player
+    this.teams = teams; // Repository of RegisteredTeam
+  }
+
+  has(registryId) {
+    return this.players.has(registryId) || this.teams.has(registryId);
+  }
+
+  getName(registryId) {
+    const entry = this.players.get(registryId) || this.teams.get(registryId);
+    return entry ? entry.name : null;
+  }
+
+  getPlayers(registryId) {
+    if (this.players.has(registryId)) {
+      return [this.players.get(registryId)];
+    }
+    const team = this.teams.get(registryId);
+    if (!team) return [];
+    return team.playerIds.map(id => this.players.get(id)).filter(Boolean);
+  }
+
+  // Team strength is the average of its players' ratings
+  getRating(registryId) {
+    const players = this.getPlayers(registryId);
+    if (players.length === 0) return null;
+    return players.reduce((sum, p) => sum + p.rating, 0) / players.length;
+  }
+
+  getTeamSummary(team) {
+    const rating = this.getRating(team.id);
+    return {
+      id: team.id,
+      name: team.name,
+      playerIds: team.playerIds,
+      players: this.getPlayers(team.id).map(p => p.getSummary()),
+      rating: rating === null ? null : Math.round(rating),
+      createdAt: team.createdAt
+    };
+  }
+
+  // Elo update for a finished result between two registry entries. Every
+  // player on a side moves by the side's surprise, scaled by their own K.
+  recordResult({ team1RegistryId, team2RegistryId, team1Score, team2Score, sourceId, tournamentId }) {
+    const side1 = this.getPlayers(team1RegistryId);
+    const side2 = this.getPlayers(team2RegistryId);
+    if (side1.length === 0 || side2.length === 0 || team1Score === team2Score) return false;
+
+    // A result is only rated once
+    if ([...side1, ...side2].some(p => p.history.some(h => h.sourceId === sourceId))) return false;
+
+    const rating1 = this.getRating(team1RegistryId);
+    const rating2 = this.getRating(team2RegistryId);
+    const expected1 = 1 / (1 + Math.pow(10, (rating2 - rating1) / 400));
+    const actual1 = team1Score > team2Score ? 1 : 0;
+    const recordedAt = new Date();
+
+    const apply = (players, expected, actual, opponentId) => {
+      players.forEach(player => {
+        const delta = player.kFactor * (actual - expected);
+        player.rating += delta;
+        player.matchesPlayed++;
+        if (actual === 1) player.wins++; else player.losses++;
+        player.history.push({
+          sourceId,
+          tournamentId: tournamentId || null,
+          opponent: this.getName(opponentId),
+          result: actual === 1 ? 'won' : 'lost',
+          rating: Math.round(player.rating),
+          delta: Math.round(delta * 10) / 10,
+          recordedAt
+        });
+        this.players.save(player);
+      });
+    };
+
+    apply(side1, expected1, actual1, team2RegistryId);
+    apply(side2, 1 - expected1, 1 - actual1, team1RegistryId);
+    return true;
+  }
+
+  // Take back a rated result, e.g. when its game is reopened by an undo
+  revertResult(sourceId) {
+    this.players.forEach(player => {
+      const entry = player.history.find(h => h.sourceId === sourceId);
+      if (!entry) return;
+
+      player.rating -= entry.delta;
+      player.matchesPlayed = Math.max(0, player.matchesPlayed - 1);
+      if (entry.result === 'won') player.wins--; else player.losses--;
+      player.history = player.history.filter(h => h !== entry);
+      this.players.save(player);
+    });
+  }
+
+  // Highest rated first; entries without a rating keep their order at the end
+  sortByRating(entries) {
+    return entries
+      .map((entry, index) => ({ entry, index, rating: entry.registryId ? this.getRating(entry.registryId) : null }))
+      .sort((a, b) => {
+        if (a.rating === null && b.rating === null) return a.index - b.index;
+        if (a.rating === null) return 1;
+        if (b.rating === null) return -1;
+        return b.rating - a.rating;
+      })
+      .map(item => item.entry);
+  }
+}
+
+module.exports = {
+  Player,
+  RegisteredTeam,
+  Registry,
+  DEFAULT_RATING
+};
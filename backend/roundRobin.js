@@ -1,145 +1,472 @@
 // backend/roundRobin.js
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 
+// Record rules in the order they are applied; later tiebreaks follow them
+const RECORD_RULES = ['gamesWon', 'pointDifference', 'pointsScored'];
+
+// How results that were not played out count in the standings. Retirement
+// 'complete': the retiring team keeps its points and the opponent is
+// credited with what it needed to win; 'walkover': scored as a walkover.
+const DEFAULT_OUTCOME_SCORING = {
+  walkover: { winnerScore: 11, loserScore: 0 },
+  retirement: 'complete',
+  target: 11,
+  winBy: 2
+};
+
+// Match statuses that need no further play. Void results and matches
+// cancelled by a withdrawal stay on the schedule but are never counted.
+const FINISHED_STATUSES = ['completed', 'void', 'cancelled'];
+
+// Teams are plain names or { name, registryId } for registered players/teams
+function createTeam(entry) {
+  return {
+    id: uuidv4(),
+    name: typeof entry === 'string' ? entry : entry.name,
+    registryId: typeof entry === 'string' ? null : entry.registryId || null,
+    withdrawn: false,
+    gamesWon: 0,
+    gamesLost: 0,
+    pointsScored: 0,
+    pointsConceded: 0,
+    pointDifference: 0,
+    matches: []
+  };
+}
+
 class RoundRobinTournament {
-  constructor(name, teams, organizerId) {
+  constructor(name, teams, organizerId, options = {}) {
     this.id = uuidv4();
     this.name = name;
     this.organizerId = organizerId;
-    this.teams = teams.map(teamName => ({
-      id: uuidv4(),
-      name: teamName,
-      gamesWon: 0,
-      gamesLost: 0,
-      pointsScored: 0,
-      pointsConceded: 0,
-      pointDifference: 0,
-      matches: []
-    }));
+    this.teams = teams.map(createTeam);
+    // Courts beyond one per pairing would sit idle every round
+    const maxCourts = Math.max(1, Math.floor(this.teams.length / 2));
+    this.courts = Math.min(Math.max(1, options.courts || maxCourts), maxCourts);
+    // For multi-game matches: 'match' records one win, 'games' counts every
+    // game won. Either way the points are all those played across the match.
+    this.matchScoring = options.matchScoring === 'games' ? 'games' : 'match';
+    const outcomeScoring = options.outcomeScoring || {};
+    this.outcomeScoring = {
+      walkover: { ...DEFAULT_OUTCOME_SCORING.walkover, ...outcomeScoring.walkover },
+      retirement: outcomeScoring.retirement === 'walkover' ? 'walkover' : 'complete',
+      target: outcomeScoring.target || DEFAULT_OUTCOME_SCORING.target,
+      winBy: outcomeScoring.winBy || DEFAULT_OUTCOME_SCORING.winBy
+    };
     this.matches = this.generateRoundRobinSchedule();
     this.rankings = [];
-    this.status = 'in-progress';
+    // Seed and outcome of every lottery draw used to split a tie
+    this.lottery = { seed: crypto.randomBytes(16).toString('hex'), draws: [] };
+    // Changes made to the event after it started: late entries, withdrawals,
+    // results and corrections
+    this.auditLog = [];
+    this.status = 'in-progress'; // in-progress, completed, archived
+    this.archivedAt = null;
     this.createdAt = new Date();
   }
 
   generateRoundRobinSchedule() {
     const matches = [];
-    const teams = this.teams;
-    
-    // Generate all possible matches (each team plays every other team once)
-    for (let i = 0; i < teams.length; i++) {
-      for (let j = i + 1; j < teams.length; j++) {
-        matches.push({
-          id: uuidv4(),
-          team1: {
-            id: teams[i].id,
-            name: teams[i].name,
-            score: 0
-          },
-          team2: {
-            id: teams[j].id,
-            name: teams[j].name,
-            score: 0
-          },
-          status: 'pending',
-          gameId: null, // Will be set when game is started
-          completedAt: null
+    const queue = this.generateCircleRounds();
+    const lastRoundPlayed = new Map();
+    let round = 0;
+    
+    // Fill one round at a time, one match per court. Prefer matches where
+    // neither team played in the previous round, then keep circle order.
+    while (queue.length > 0) {
+      round++;
+      const busy = new Set();
+      
+      for (let court = 1; court <= this.courts; court++) {
+        let bestIndex = -1;
+        let bestRested = false;
+        
+        queue.forEach(([home, away], index) => {
+          if (busy.has(home.id) || busy.has(away.id)) return;
+          const rested = lastRoundPlayed.get(home.id) !== round - 1 &&
+            lastRoundPlayed.get(away.id) !== round - 1;
+          if (bestIndex === -1 || (rested && !bestRested)) {
+            bestIndex = index;
+            bestRested = rested;
+          }
         });
+        
+        if (bestIndex === -1) break;
+        
+        const [home, away] = queue.splice(bestIndex, 1)[0];
+        busy.add(home.id);
+        busy.add(away.id);
+        lastRoundPlayed.set(home.id, round);
+        lastRoundPlayed.set(away.id, round);
+        
+        matches.push(RoundRobinTournament.createMatch(home, away, round, court));
       }
     }
     
     return matches;
   }
 
-  updateMatchResult(matchId, team1Score, team2Score) {
+  static createMatch(home, away, round, court) {
+    return {
+      id: uuidv4(),
+      team1: {
+        id: home.id,
+        name: home.name,
+        registryId: home.registryId,
+        score: 0
+      },
+      team2: {
+        id: away.id,
+        name: away.name,
+        registryId: away.registryId,
+        score: 0
+      },
+      round,
+      court,
+      status: 'pending',
+      gameId: null, // Will be set when game is started
+      completedAt: null
+    };
+  }
+
+  // Put a match in the first round from `fromRound` on where both teams
+  // are free and a court is open, adding rounds at the end when needed
+  scheduleMatch(home, away, fromRound) {
+    for (let round = fromRound; ; round++) {
+      const inRound = this.matches.filter(m => m.round === round && m.status !== 'cancelled');
+      const busy = inRound.some(m => [m.team1.id, m.team2.id].some(id => id === home.id || id === away.id));
+      const usedCourts = new Set(inRound.map(m => m.court));
+      if (busy || usedCourts.size >= this.courts) continue;
+
+      let court = 1;
+      while (usedCourts.has(court)) court++;
+      const match = RoundRobinTournament.createMatch(home, away, round, court);
+      this.matches.push(match);
+      return match;
+    }
+  }
+
+  getActiveTeams() {
+    return this.teams.filter(team => !team.withdrawn);
+  }
+
+  // Late entry: the new team meets every active team. Its matches are fitted
+  // in from the round currently being played, never into rounds already over.
+  addTeam(entry) {
+    const team = createTeam(entry);
+    const opponents = this.getActiveTeams();
+    const currentRound = Math.max(1, ...this.matches
+      .filter(m => m.status !== 'pending')
+      .map(m => m.round || 1));
+
+    team.joinedRound = currentRound;
+    this.teams.push(team);
+    const matches = opponents.map(opponent => this.scheduleMatch(team, opponent, currentRound));
+
+    this.recalculateStandings();
+    return { team, matches };
+  }
+
+  // Withdraw a team. `unplayed` decides its pending matches: 'walkover'
+  // awards them to the opponents, 'cancel' drops them. `played` decides its
+  // completed matches: 'keep' leaves them counted, 'void' removes them.
+  // The team stays on record but leaves the rankings.
+  withdrawTeam(teamId, { unplayed = 'walkover', played = 'keep' } = {}) {
+    const team = this.teams.find(t => t.id === teamId);
+    if (!team || team.withdrawn) return null;
+
+    team.withdrawn = true;
+    team.withdrawnAt = new Date();
+
+    const affected = [];
+    this.matches
+      .filter(m => m.team1.id === teamId || m.team2.id === teamId)
+      .forEach(match => {
+        if (match.status === 'pending') {
+          if (unplayed === 'walkover') {
+            this.recordOutcome(match.id, { type: 'walkover', winner: match.team1.id === teamId ? 2 : 1 });
+          } else {
+            match.status = 'cancelled';
+          }
+          affected.push(match);
+        } else if (match.status === 'completed' && played === 'void') {
+          match.status = 'void';
+          affected.push(match);
+        }
+      });
+
+    this.recalculateStandings();
+    return { team, matches: affected };
+  }
+
+  // Replace the score of a completed (or voided) result; a voided result
+  // counts again once corrected
+  correctResult(matchId, team1Score, team2Score, games = null) {
+    const match = this.matches.find(m => m.id === matchId);
+    if (!match || !['completed', 'void'].includes(match.status)) return null;
+
+    match.team1.score = team1Score;
+    match.team2.score = team2Score;
+    match.games = games;
+    match.status = 'completed';
+    match.correctedAt = new Date();
+
+    this.recalculateStandings();
+    return match;
+  }
+
+  // Take a completed result out of the standings without replaying it
+  voidResult(matchId) {
+    const match = this.matches.find(m => m.id === matchId);
+    if (!match || match.status !== 'completed') return null;
+
+    match.status = 'void';
+    this.recalculateStandings();
+    return match;
+  }
+
+  logChange(action, actor, details = {}) {
+    const entry = {
+      id: uuidv4(),
+      action,
+      actor: actor || null,
+      details,
+      at: new Date()
+    };
+    this.auditLog.push(entry);
+    return entry;
+  }
+
+  // Circle method: keep the first team fixed and rotate everyone else one
+  // place per round. An odd field gets an empty slot, which is that round's bye.
+  generateCircleRounds() {
+    const slots = [...this.teams];
+    if (slots.length % 2 === 1) {
+      slots.push(null);
+    }
+    
+    const pairings = [];
+    for (let round = 0; round < slots.length - 1; round++) {
+      for (let i = 0; i < slots.length / 2; i++) {
+        const home = slots[i];
+        const away = slots[slots.length - 1 - i];
+        if (home && away) {
+          pairings.push([home, away]);
+        }
+      }
+      slots.splice(1, 0, slots.pop());
+    }
+    
+    return pairings;
+  }
+
+  // Matches grouped by round, with the teams sitting out each round
+  getRounds() {
+    const rounds = [];
+    
+    this.matches.forEach(match => {
+      if (!match.round) return;
+      if (!rounds[match.round - 1]) {
+        rounds[match.round - 1] = { round: match.round, matches: [], byes: [] };
+      }
+      rounds[match.round - 1].matches.push(match);
+    });
+    
+    return rounds.filter(Boolean).map(entry => {
+      const playing = new Set();
+      entry.matches.forEach(m => {
+        playing.add(m.team1.id);
+        playing.add(m.team2.id);
+      });
+      entry.matches.sort((a, b) => a.court - b.court);
+      entry.byes = this.teams
+        .filter(t => !playing.has(t.id) && !t.withdrawn && (t.joinedRound || 1) <= entry.round)
+        .map(t => ({ id: t.id, name: t.name }));
+      return entry;
+    });
+  }
+
+  updateMatchResult(matchId, team1Score, team2Score, games = null) {
     const match = this.matches.find(m => m.id === matchId);
     if (!match) return null;
     
     // Update match scores
     match.team1.score = team1Score;
     match.team2.score = team2Score;
+    match.games = games;
+    match.outcome = match.outcome || 'played';
     match.status = 'completed';
     match.completedAt = new Date();
     
+    this.recalculateStandings();
+    
+    return match;
+  }
+
+  // Team records are rebuilt from the counted matches every time, so a
+  // repeated, corrected or voided result is never counted twice
+  recalculateStandings() {
+    this.teams.forEach(team => Object.assign(team, {
+      gamesWon: 0,
+      gamesLost: 0,
+      pointsScored: 0,
+      pointsConceded: 0,
+      pointDifference: 0,
+      matches: []
+    }));
+    this.matches
+      .filter(m => m.status === 'completed')
+      .forEach(m => this.applyResult(m));
+
+    // Recalculate rankings
+    this.calculateRankings();
+
+    // Check if tournament is complete; a late entry reopens it
+    const allMatchesFinished = this.matches.every(m => FINISHED_STATUSES.includes(m.status));
+    if (allMatchesFinished) {
+      this.status = 'completed';
+    } else if (this.status === 'completed') {
+      this.status = 'in-progress';
+    }
+  }
+
+  applyResult(match) {
+    const { games } = match;
+    const team1Score = match.team1.score;
+    const team2Score = match.team2.score;
+
     // Determine winner
-    const winner = team1Score > team2Score ? match.team1 : match.team2;
-    const loser = team1Score > team2Score ? match.team2 : match.team1;
+    const team1Won = team1Score > team2Score;
+    const winner = team1Won ? match.team1 : match.team2;
+    const loser = team1Won ? match.team2 : match.team1;
     const winnerScore = Math.max(team1Score, team2Score);
     const loserScore = Math.min(team1Score, team2Score);
     
+    // Points are always rally points: a multi-game match adds up its games.
+    // Wins are the match as a whole, or every game in it.
+    const hasGames = games && games.length > 0;
+    const played = hasGames
+      ? games.map(g => team1Won
+        ? { winner: g.team1Score, loser: g.team2Score }
+        : { winner: g.team2Score, loser: g.team1Score })
+      : [{ winner: winnerScore, loser: loserScore }];
+    const countGames = hasGames && this.matchScoring === 'games';
+    const winnerGames = countGames ? played.filter(g => g.winner > g.loser).length : 1;
+    const loserGames = countGames ? played.length - winnerGames : 0;
+    const winnerPoints = played.reduce((sum, g) => sum + g.winner, 0);
+    const loserPoints = played.reduce((sum, g) => sum + g.loser, 0);
+    
     // Update team statistics
     const winnerTeam = this.teams.find(t => t.id === winner.id);
     const loserTeam = this.teams.find(t => t.id === loser.id);
+    if (!winnerTeam || !loserTeam) return;
+
+    // Update winner stats
+    winnerTeam.gamesWon += winnerGames;
+    winnerTeam.gamesLost += loserGames;
+    winnerTeam.pointsScored += winnerPoints;
+    winnerTeam.pointsConceded += loserPoints;
+    winnerTeam.pointDifference = winnerTeam.pointsScored - winnerTeam.pointsConceded;
+    winnerTeam.matches.push({
+      opponentId: loser.id,
+      opponentName: loser.name,
+      result: 'won',
+      scoreFor: winnerPoints,
+      scoreAgainst: loserPoints
+    });
     
-    if (winnerTeam && loserTeam) {
-      // Update winner stats
-      winnerTeam.gamesWon++;
-      winnerTeam.pointsScored += winnerScore;
-      winnerTeam.pointsConceded += loserScore;
-      winnerTeam.pointDifference = winnerTeam.pointsScored - winnerTeam.pointsConceded;
-      winnerTeam.matches.push({
-        opponentId: loser.id,
-        opponentName: loser.name,
-        result: 'won',
-        scoreFor: winnerScore,
-        scoreAgainst: loserScore
-      });
-      
-      // Update loser stats
-      loserTeam.gamesLost++;
-      loserTeam.pointsScored += loserScore;
-      loserTeam.pointsConceded += winnerScore;
-      loserTeam.pointDifference = loserTeam.pointsScored - loserTeam.pointsConceded;
-      loserTeam.matches.push({
-        opponentId: winner.id,
-        opponentName: winner.name,
-        result: 'lost',
-        scoreFor: loserScore,
-        scoreAgainst: winnerScore
-      });
-    }
-    
-    // Recalculate rankings
-    this.calculateRankings();
-    
-    // Check if tournament is complete
-    const allMatchesComplete = this.matches.every(m => m.status === 'completed');
-    if (allMatchesComplete) {
-      this.status = 'completed';
+    // Update loser stats
+    loserTeam.gamesWon += loserGames;
+    loserTeam.gamesLost += winnerGames;
+    loserTeam.pointsScored += loserPoints;
+    loserTeam.pointsConceded += winnerPoints;
+    loserTeam.pointDifference = loserTeam.pointsScored - loserTeam.pointsConceded;
+    loserTeam.matches.push({
+      opponentId: winner.id,
+      opponentName: winner.name,
+      result: 'lost',
+      scoreFor: loserPoints,
+      scoreAgainst: winnerPoints
+    });
+  }
+
+  // Walkovers, retirements and results entered by hand. The scores follow
+  // the outcome scoring and are then recorded like any other result.
+  // `winner` is the team awarded the match (1 or 2); target and winBy can be
+  // overridden with the rules of the game that was being played.
+  recordOutcome(matchId, outcome) {
+    const match = this.matches.find(m => m.id === matchId);
+    if (!match || match.status === 'completed') return null;
+
+    const { type, winner } = outcome;
+    let team1Score = outcome.team1Score || 0;
+    let team2Score = outcome.team2Score || 0;
+    let games = outcome.games || null;
+
+    if (type === 'walkover' || (type === 'retirement' && this.outcomeScoring.retirement === 'walkover')) {
+      const { winnerScore, loserScore } = this.outcomeScoring.walkover;
+      team1Score = winner === 1 ? winnerScore : loserScore;
+      team2Score = winner === 1 ? loserScore : winnerScore;
+      games = null;
+    } else if (type === 'retirement') {
+      const target = outcome.target || this.outcomeScoring.target;
+      const winBy = outcome.winBy || this.outcomeScoring.winBy;
+      const loserScore = winner === 1 ? team2Score : team1Score;
+      const winnerScore = Math.max(winner === 1 ? team1Score : team2Score, target, loserScore + winBy);
+      team1Score = winner === 1 ? winnerScore : loserScore;
+      team2Score = winner === 1 ? loserScore : winnerScore;
+      games = null;
     }
-    
-    return match;
+
+    match.outcome = type; // played, walkover, retirement, manual
+    match.partialScore = type === 'retirement'
+      ? { team1: outcome.team1Score || 0, team2: outcome.team2Score || 0 }
+      : null;
+    return this.updateMatchResult(matchId, team1Score, team2Score, games);
   }
 
+  // Rank on the record rules first, then settle each group of teams that is
+  // still level with a mini-league among just those teams and, failing that,
+  // the stored lottery. Every entry reports the rule that fixed its place.
+  // Draws are kept only for the groups tied in this pass.
   calculateRankings() {
-    // Create a copy of teams for sorting
-    const rankedTeams = [...this.teams];
-    
-    // Sort teams based on the ranking rules
-    rankedTeams.sort((a, b) => {
-      // Rule 1: Higher Games Won (GW)
-      if (a.gamesWon !== b.gamesWon) {
-        return b.gamesWon - a.gamesWon;
-      }
-      
-      // Rule 2-a: Total Point Difference (TPD)
-      if (a.pointDifference !== b.pointDifference) {
-        return b.pointDifference - a.pointDifference;
-      }
-      
-      // Rule 2-b: Total Points Scored (TPS)
-      if (a.pointsScored !== b.pointsScored) {
-        return b.pointsScored - a.pointsScored;
-      }
-      
-      // Rule 2-c: Head-to-Head Record
-      const h2h = this.getHeadToHeadResult(a.id, b.id);
-      if (h2h !== 0) {
-        return h2h;
+    if (!this.lottery) {
+      this.lottery = { seed: crypto.randomBytes(16).toString('hex'), draws: [] };
+    }
+    const previousDraws = this.lottery.draws;
+    this.lottery.draws = [];
+
+    const ordered = this.getActiveTeams()
+      .map((team, index) => ({ team, index }))
+      .sort((a, b) => RoundRobinTournament.compareRecords(a.team, b.team) || a.index - b.index)
+      .map(entry => entry.team);
+
+    const decidedBy = new Map();
+    const groups = this.findTiedGroups();
+    const rankedTeams = [];
+
+    ordered.forEach(team => {
+      if (rankedTeams.includes(team)) return;
+
+      const group = groups.find(g => g.includes(team));
+      if (!group) {
+        rankedTeams.push(team);
+        return;
       }
-      
-      // Rule 2-d: Lottery (random for now, can be replaced with actual lottery)
-      return Math.random() - 0.5;
+      this.resolveTiedGroup(group, previousDraws).forEach(({ team: tiedTeam, rule }) => {
+        rankedTeams.push(tiedTeam);
+        decidedBy.set(tiedTeam.id, rule);
+      });
+    });
+
+    // Teams placed on their record are decided by the finest rule that
+    // separates them from the teams directly above and below
+    rankedTeams.forEach((team, index) => {
+      if (decidedBy.has(team.id)) return;
+      const neighbours = [rankedTeams[index - 1], rankedTeams[index + 1]].filter(Boolean);
+      const rules = neighbours.map(other => RoundRobinTournament.getDecidingRecordRule(team, other));
+      decidedBy.set(team.id, RECORD_RULES[Math.max(0, ...rules.map(rule => RECORD_RULES.indexOf(rule)))]);
     });
     
     // Assign ranks
@@ -151,33 +478,133 @@ class RoundRobinTournament {
       gamesLost: team.gamesLost,
       pointsScored: team.pointsScored,
       pointsConceded: team.pointsConceded,
-      pointDifference: team.pointDifference
+      pointDifference: team.pointDifference,
+      decidedBy: decidedBy.get(team.id)
     }));
     
     return this.rankings;
   }
 
-  getHeadToHeadResult(team1Id, team2Id) {
-    const team1 = this.teams.find(t => t.id === team1Id);
-    const team2 = this.teams.find(t => t.id === team2Id);
-    
-    if (!team1 || !team2) return 0;
-    
-    // Find the match between these two teams
-    const h2hMatch = team1.matches.find(m => m.opponentId === team2Id);
-    
-    if (!h2hMatch) return 0;
+  // Order a group of teams level on their record. Head-to-head is a
+  // mini-league over the matches between the group's teams only; any
+  // smaller group still level is resolved again on its own matches, and a
+  // group that head-to-head cannot split at all goes to the lottery. Teams
+  // that are only level because nobody has played yet keep their order.
+  resolveTiedGroup(group, previousDraws) {
+    const groupIds = new Set(group.map(t => t.id));
+    const records = group.map(team => {
+      const record = { team, wins: 0, pointDifference: 0, pointsScored: 0 };
+      team.matches
+        .filter(m => groupIds.has(m.opponentId))
+        .forEach(m => {
+          if (m.result === 'won') record.wins++;
+          record.pointDifference += m.scoreFor - m.scoreAgainst;
+          record.pointsScored += m.scoreFor;
+        });
+      return record;
+    });
+
+    const compare = (a, b) => (b.wins - a.wins) ||
+      (b.pointDifference - a.pointDifference) ||
+      (b.pointsScored - a.pointsScored);
+    records.sort(compare);
+
+    const subgroups = [];
+    records.forEach(record => {
+      const last = subgroups[subgroups.length - 1];
+      if (last && compare(last[0], record) === 0) last.push(record);
+      else subgroups.push([record]);
+    });
+
+    if (subgroups.length === 1) {
+      const played = group.some(team => team.matches.length > 0) ||
+        this.matches.every(m => FINISHED_STATUSES.includes(m.status));
+      if (!played) return group.map(team => ({ team, rule: null }));
+      return this.drawLottery(group, previousDraws).map(team => ({ team, rule: 'lottery' }));
+    }
+
+    return subgroups.flatMap(subgroup => subgroup.length === 1
+      ? [{ team: subgroup[0].team, rule: 'headToHead' }]
+      : this.resolveTiedGroup(subgroup.map(record => record.team), previousDraws));
+  }
+
+  // Seeded lottery: teams are ordered by SHA-256 of "seed:teamId", so anyone
+  // holding the seed can check a draw. A group's earlier draw is carried
+  // over, so recalculating never reshuffles a tie.
+  drawLottery(group, previousDraws = []) {
+    const teamIds = group.map(t => t.id).sort();
+    const sameGroup = d => d.teamIds.join() === teamIds.join();
+    let draw = this.lottery.draws.find(sameGroup) || previousDraws.find(sameGroup);
+    if (!draw) {
+      const hash = id => crypto.createHash('sha256').update(`${this.lottery.seed}:${id}`).digest('hex');
+      draw = {
+        teamIds,
+        order: [...teamIds].sort((a, b) => hash(a).localeCompare(hash(b))),
+        drawnAt: new Date()
+      };
+    }
+    if (!this.lottery.draws.includes(draw)) this.lottery.draws.push(draw);
+
+    return draw.order.map(id => group.find(t => t.id === id));
+  }
+
+  // First record rule on which two teams differ, or null when level
+  static getDecidingRecordRule(a, b) {
+    if (a.gamesWon !== b.gamesWon) return 'gamesWon';
+    if (a.pointDifference !== b.pointDifference) return 'pointDifference';
+    if (a.pointsScored !== b.pointsScored) return 'pointsScored';
+    return null;
+  }
+
+  // Compare two team records on the statistical ranking rules only, so
+  // teams from different pools can be ranked against each other
+  static compareRecords(a, b) {
+    // Rule 1: Higher Games Won (GW)
+    if (a.gamesWon !== b.gamesWon) {
+      return b.gamesWon - a.gamesWon;
+    }
     
-    // If team1 won against team2, team1 ranks higher (negative return)
-    if (h2hMatch.result === 'won') return -1;
-    if (h2hMatch.result === 'lost') return 1;
+    // Rule 2-a: Total Point Difference (TPD)
+    if (a.pointDifference !== b.pointDifference) {
+      return b.pointDifference - a.pointDifference;
+    }
     
-    // If tied (shouldn't happen in pickleball), check point difference in their match
-    const h2hPointDiff = h2hMatch.scoreFor - h2hMatch.scoreAgainst;
-    if (h2hPointDiff !== 0) return -h2hPointDiff;
+    // Rule 2-b: Total Points Scored (TPS)
+    if (a.pointsScored !== b.pointsScored) {
+      return b.pointsScored - a.pointsScored;
+    }
     
-    // Check total points scored in their match
-    return -h2hMatch.scoreFor;
+    return 0;
+  }
+
+  // Only a finished event can be archived; it then takes no more changes
+  // until it is unarchived
+  archive() {
+    if (this.status !== 'completed') return false;
+    this.status = 'archived';
+    this.archivedAt = new Date();
+    return true;
+  }
+
+  unarchive() {
+    if (this.status !== 'archived') return false;
+    this.status = 'completed';
+    this.archivedAt = null;
+    return true;
+  }
+
+  toRecord() {
+    return JSON.parse(JSON.stringify(this));
+  }
+
+  static fromRecord(record) {
+    const tournament = Object.assign(Object.create(RoundRobinTournament.prototype), record);
+    tournament.createdAt = new Date(record.createdAt);
+    tournament.archivedAt = record.archivedAt ? new Date(record.archivedAt) : null;
+    // Tournaments stored before walkovers and retirements could be recorded
+    tournament.outcomeScoring = record.outcomeScoring || DEFAULT_OUTCOME_SCORING;
+    tournament.auditLog = record.auditLog || [];
+    return tournament;
   }
 
   getStandings() {
@@ -185,9 +612,13 @@ class RoundRobinTournament {
       tournament: {
         id: this.id,
         name: this.name,
-        status: this.status
+        status: this.status,
+        courts: this.courts,
+        matchScoring: this.matchScoring,
+        outcomeScoring: this.outcomeScoring
       },
       rankings: this.rankings,
+      lottery: this.lottery || null,
       teams: this.teams.map(team => ({
         ...team,
         winPercentage: team.gamesWon + team.gamesLost > 0 
@@ -211,10 +642,11 @@ class RoundRobinTournament {
     const groups = [];
     const processed = new Set();
     
-    for (const team of this.teams) {
+    const teams = this.getActiveTeams();
+    for (const team of teams) {
       if (processed.has(team.id)) continue;
       
-      const tiedTeams = this.teams.filter(t => 
+      const tiedTeams = teams.filter(t => 
         t.gamesWon === team.gamesWon &&
         t.pointDifference === team.pointDifference &&
         t.pointsScored === team.pointsScored
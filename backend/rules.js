@@ -0,0 +1,138 @@
+// backend/rules.js
+const { v4: uuidv4 } = require('uuid');
+
+const SCORING_SYSTEMS = ['sideout', 'rally'];
+
+// Rules a game is played under. Games keep their own copy, so editing a
+// named rule set later never changes games that were already created.
+const DEFAULT_RULES = {
+  target: 11,
+  winBy: 2,
+  cap: null, // first to the cap wins even without the win-by margin
+  scoringSystem: 'sideout',
+  freezeAtGamePoint: false, // rally scoring: the receiving team cannot win the game point
+  firstServerException: true, // side-out doubles opens on the second server ("0-0-2")
+  endChangeAt: null, // point at which ends switch in a deciding game; midpoint when null
+  timeoutsPerGame: 2, // per team
+  medicalTimeoutsPerGame: 1 // per team
+};
+
+class RuleSet {
+  constructor(name, options = {}) {
+    this.id = options.id || uuidv4();
+    this.name = name;
+    this.builtIn = !!options.builtIn;
+    Object.keys(DEFAULT_RULES).forEach(key => {
+      this[key] = options[key] !== undefined ? options[key] : DEFAULT_RULES[key];
+    });
+    this.createdAt = new Date();
+  }
+
+  getRules() {
+    return pickRules(this);
+  }
+
+  toRecord() {
+    return JSON.parse(JSON.stringify(this));
+  }
+
+  static fromRecord(record) {
+    const ruleSet = Object.assign(Object.create(RuleSet.prototype), record);
+    ruleSet.createdAt = new Date(record.createdAt);
+    return ruleSet;
+  }
+}
+
+// Presets shipped with the app; custom rule sets are stored alongside them
+const PRESET_RULE_SETS = [
+  new RuleSet('Standard to 11', { id: 'standard' }),
+  new RuleSet('Standard to 15', { id: 'standard-15', target: 15 }),
+  new RuleSet('Standard to 21', { id: 'standard-21', target: 21 }),
+  new RuleSet('To 11, cap at 15', { id: 'capped-11-15', cap: 15 }),
+  new RuleSet('Timed, win by 1', { id: 'win-by-1', winBy: 1 }),
+  new RuleSet('Rally to 21', { id: 'rally-21', target: 21, scoringSystem: 'rally' }),
+  new RuleSet('Rally to 21, freeze at game point', {
+    id: 'rally-21-freeze',
+    target: 21,
+    scoringSystem: 'rally',
+    freezeAtGamePoint: true
+  })
+];
+PRESET_RULE_SETS.forEach(ruleSet => { ruleSet.builtIn = true; });
+
+function pickRules(source) {
+  const rules = {};
+  Object.keys(DEFAULT_RULES).forEach(key => {
+    rules[key] = source[key] !== undefined ? source[key] : DEFAULT_RULES[key];
+  });
+  return rules;
+}
+
+// Rules from older loose game settings (playTo, scoringSystem, ...)
+function rulesFromSettings(settings) {
+  return pickRules({
+    target: settings.playTo,
+    scoringSystem: settings.scoringSystem,
+    firstServerException: settings.firstServerException
+  });
+}
+
+// Every problem with a set of rules; an empty list means they are usable
+function validateRules(rules) {
+  const errors = [];
+  const isWhole = value => Number.isInteger(value) && value > 0;
+
+  if (!isWhole(rules.target) || rules.target > 99) {
+    errors.push('target must be a whole number from 1 to 99');
+  }
+  if (!isWhole(rules.winBy) || rules.winBy > 5) {
+    errors.push('winBy must be a whole number from 1 to 5');
+  }
+  if (rules.cap !== null && (!isWhole(rules.cap) || rules.cap <= rules.target)) {
+    errors.push('cap must be greater than target');
+  }
+  if (!SCORING_SYSTEMS.includes(rules.scoringSystem)) {
+    errors.push(`scoringSystem must be one of ${SCORING_SYSTEMS.join(', ')}`);
+  }
+  if (rules.freezeAtGamePoint && rules.scoringSystem !== 'rally') {
+    errors.push('freezeAtGamePoint only applies to rally scoring');
+  }
+  if (typeof rules.freezeAtGamePoint !== 'boolean' || typeof rules.firstServerException !== 'boolean') {
+    errors.push('freezeAtGamePoint and firstServerException must be true or false');
+  }
+  if (rules.endChangeAt !== null && (!isWhole(rules.endChangeAt) || rules.endChangeAt >= rules.target)) {
+    errors.push('endChangeAt must be below target');
+  }
+  if (![rules.timeoutsPerGame, rules.medicalTimeoutsPerGame].every(n => Number.isInteger(n) && n >= 0 && n <= 5)) {
+    errors.push('timeoutsPerGame and medicalTimeoutsPerGame must be whole numbers from 0 to 5');
+  }
+
+  return errors;
+}
+
+// Winning team (1 or 2) for a score under these rules, or null
+function getWinner(rules, team1Score, team2Score) {
+  const leader = team1Score > team2Score ? 1 : 2;
+  const leaderScore = Math.max(team1Score, team2Score);
+  const margin = Math.abs(team1Score - team2Score);
+
+  if (rules.cap !== null && leaderScore >= rules.cap && margin > 0) return leader;
+  if (leaderScore >= rules.target && margin >= rules.winBy) return leader;
+  return null;
+}
+
+function getEndChangePoint(rules) {
+  return rules.endChangeAt !== null ? rules.endChangeAt : Math.ceil(rules.target / 2);
+}
+
+module.exports = {
+  SCORING_SYSTEMS,
+  RuleSet,
+  PRESET_RULE_SETS,
+  DEFAULT_RULES,
+  pickRules,
+  rulesFromSettings,
+  validateRules,
+  getWinner,
+  getEndChangePoint
+};
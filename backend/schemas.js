@@ -0,0 +1,577 @@
+// backend/schemas.js
+const { validate, issueAt, joinPath } = require('./validation');
+const { SCORING_SYSTEMS } = require('./rules');
+const { WEBHOOK_EVENTS } = require('./webhooks');
+const { DIVISION_FORMATS } = require('./events');
+
+// Offline scorers resend their queued events in batches of up to this many
+const MAX_BATCH_EVENTS = 200;
+
+const MAX_NAME_LENGTH = 100;
+const MAX_PAGE_SIZE = 100;
+
+const id = { type: 'string', minLength: 1, maxLength: 200 };
+const name = { type: 'string', minLength: 1, maxLength: MAX_NAME_LENGTH };
+const requiredName = { ...name, required: true };
+const team = { type: 'integer', values: [1, 2] };
+const score = { type: 'integer', min: 0, max: 999 };
+const version = { type: 'integer', min: 0 };
+const reason = { type: 'string', maxLength: 500 };
+
+// Rule values in range; how they relate to each other (cap above target,
+// ...) is left to validateRules in rules.js
+const rules = {
+  type: 'object',
+  fields: {
+    target: { type: 'integer', min: 1, max: 99 },
+    winBy: { type: 'integer', min: 1, max: 5 },
+    cap: { type: 'integer', min: 1, max: 99, nullable: true },
+    scoringSystem: { type: 'string', values: SCORING_SYSTEMS },
+    freezeAtGamePoint: { type: 'boolean' },
+    firstServerException: { type: 'boolean' },
+    endChangeAt: { type: 'integer', min: 1, max: 98, nullable: true },
+    timeoutsPerGame: { type: 'integer', min: 0, max: 5 },
+    medicalTimeoutsPerGame: { type: 'integer', min: 0, max: 5 }
+  }
+};
+
+const gameSettings = {
+  type: 'object',
+  fields: {
+    ruleSetId: id,
+    rules,
+    playTo: { type: 'integer', min: 1, max: 99 },
+    scoringSystem: { type: 'string', values: SCORING_SYSTEMS },
+    firstServerException: { type: 'boolean' },
+    gameFormat: { type: 'string', values: ['singles', 'doubles'] },
+    servingTeam: team,
+    serverNumber: { type: 'integer', values: [1, 2] },
+    court: { anyOf: [{ type: 'integer', min: 1 }, { type: 'string', minLength: 1, maxLength: 20 }] }
+  }
+};
+
+const bestOf = { type: 'integer', values: [1, 3, 5] };
+
+// Per-game scores of a multi-game result
+const gameScores = {
+  type: 'array',
+  maxItems: 5,
+  items: { type: 'object', fields: { team1Score: { ...score, required: true }, team2Score: { ...score, required: true } } }
+};
+
+// A side of a new game or match is named, registered, or both
+function requireTeamNames(body) {
+  return [1, 2]
+    .filter(side => !body[`team${side}Name`] && !body[`team${side}RegistryId`])
+    .map(side => issueAt(`team${side}Name`, 'required', `or team${side}RegistryId is required`));
+}
+
+const newGame = {
+  type: 'object',
+  fields: {
+    team1Name: name,
+    team2Name: name,
+    team1RegistryId: id,
+    team2RegistryId: id,
+    settings: gameSettings
+  },
+  refine: requireTeamNames
+};
+
+// Key a team entry (a name or { name, registryId }) is told apart by
+function teamKey(entry) {
+  if (typeof entry === 'string') return entry.trim().toLowerCase();
+  return entry.name ? entry.name.trim().toLowerCase() : `registry:${entry.registryId}`;
+}
+
+const teamEntry = {
+  anyOf: [
+    name,
+    { type: 'object', fields: { name, registryId: { ...id, required: true } } }
+  ]
+};
+
+const teamList = {
+  type: 'array',
+  required: true,
+  minItems: 2,
+  maxItems: 256,
+  items: teamEntry,
+  unique: teamKey
+};
+
+// How a round-robin is played, whether created directly or from a registration
+const roundRobinOptions = {
+  courts: { type: 'integer', min: 1, max: 100 },
+  matchScoring: { type: 'string', values: ['match', 'games'] },
+  outcomeScoring: {
+    type: 'object',
+    fields: {
+      walkover: { type: 'object', fields: { winnerScore: score, loserScore: score } },
+      retirement: { type: 'string', values: ['complete', 'walkover'] },
+      target: { type: 'integer', min: 1, max: 99 },
+      winBy: { type: 'integer', min: 1, max: 5 }
+    }
+  }
+};
+
+const seeding = { type: 'string', values: ['order', 'random', 'rating', 'snake'] };
+
+const bracketOptions = {
+  format: { type: 'string', values: ['single', 'double'] },
+  grandFinalReset: { type: 'boolean' },
+  seeding
+};
+
+const poolOptions = {
+  poolCount: { type: 'integer', min: 1, max: 64 },
+  seeding,
+  advancePerPool: { type: 'integer', min: 1, max: 64 },
+  wildcards: { type: 'integer', min: 0, max: 64 },
+  playoffFormat: { type: 'string', values: ['single', 'double'] }
+};
+
+// Every pool needs at least two teams
+function requirePoolSize(teams, poolCount, path) {
+  return poolCount && teams.length < poolCount * 2
+    ? [issueAt(path, 'too_large', 'leaves pools with fewer than 2 teams')]
+    : [];
+}
+
+// Format options of a division, by format
+const divisionOptions = {
+  'round-robin': { type: 'object', fields: { matchScoring: roundRobinOptions.matchScoring, outcomeScoring: roundRobinOptions.outcomeScoring } },
+  pools: { type: 'object', fields: poolOptions },
+  bracket: { type: 'object', fields: bracketOptions }
+};
+
+// Receivers are reached over plain http(s)
+function requireWebUrl(body) {
+  if (body.url === undefined) return [];
+  let target;
+  try {
+    target = new URL(body.url);
+  } catch (error) {
+    return [issueAt('url', 'invalid_value', 'must be a valid URL')];
+  }
+  return ['http:', 'https:'].includes(target.protocol)
+    ? []
+    : [issueAt('url', 'invalid_value', 'must use http or https')];
+}
+
+const webhookFields = {
+  url: { type: 'string', minLength: 1, maxLength: 2000 },
+  events: { type: 'array', minItems: 1, items: { type: 'string', values: WEBHOOK_EVENTS }, unique: event => event },
+  description: { type: 'string', maxLength: 200 },
+  active: { type: 'boolean' }
+};
+
+// Teams signing up leave an email address, a phone number, or both
+function requireContact(contact, path) {
+  if (!contact.email && !contact.phone) {
+    return [issueAt(joinPath(path, 'email'), 'required', 'or phone is required')];
+  }
+  if (contact.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(contact.email.trim())) {
+    return [issueAt(joinPath(path, 'email'), 'invalid_value', 'must be an email address')];
+  }
+  return [];
+}
+
+// Event listings: filter by status ('all' includes archived events), search
+// names with `q`, and page through the results
+function listQuery(statuses) {
+  return {
+    type: 'object',
+    fields: {
+      status: { type: 'string', values: [...statuses, 'all'] },
+      q: { type: 'string', maxLength: MAX_NAME_LENGTH },
+      page: { type: 'integer', min: 1 },
+      limit: { type: 'integer', min: 1, max: MAX_PAGE_SIZE }
+    }
+  };
+}
+
+// Score and undo take a single event or a batch in `events`
+function scoringRequest(type) {
+  const scoreEvent = {
+    type: 'object',
+    fields: {
+      type: { type: 'string', values: ['score', 'undo'] },
+      winningTeam: team,
+      clientSeq: { type: 'integer', min: 0 },
+      idempotencyKey: { type: 'string', minLength: 1, maxLength: 200 }
+    },
+    refine: (event, path) => (event.type || type) === 'score' && event.winningTeam === undefined
+      ? [issueAt(joinPath(path, 'winningTeam'), 'required', 'is required')]
+      : []
+  };
+
+  return {
+    type: 'object',
+    fields: {
+      ...scoreEvent.fields,
+      clientId: id,
+      expectedVersion: version,
+      events: { type: 'array', maxItems: MAX_BATCH_EVENTS, items: scoreEvent }
+    },
+    refine: (body, path) => body.events === undefined ? scoreEvent.refine(body, path) : []
+  };
+}
+
+// Changes made against a known version of the game
+const versioned = fields => ({ type: 'object', fields: { ...fields, expectedVersion: version } });
+
+// Records inside a JSON export. Only the fields the rebuilt objects rely on
+// are checked; the rest is carried over as exported.
+const timestamp = {
+  type: 'string',
+  refine: (value, path) => isNaN(new Date(value).getTime())
+    ? [issueAt(path, 'invalid_value', 'must be a date')]
+    : []
+};
+
+const recordTeam = {
+  type: 'object',
+  required: true,
+  fields: { name: requiredName, registryId: { ...id, nullable: true } }
+};
+
+const gameSide = {
+  ...recordTeam,
+  fields: { ...recordTeam.fields, score: { ...score, required: true }, players: { type: 'array' } }
+};
+
+const exportedGame = {
+  type: 'object',
+  fields: {
+    id: { ...id, required: true },
+    team1: gameSide,
+    team2: gameSide,
+    gameFormat: { type: 'string', values: ['singles', 'doubles'] },
+    status: { type: 'string', required: true, values: ['in-progress', 'completed'] },
+    settings: { type: 'object' },
+    rules: { type: 'object' },
+    events: { type: 'array' },
+    redoStack: { type: 'array' },
+    history: { type: 'array' },
+    startedAt: { ...timestamp, required: true },
+    completedAt: { ...timestamp, nullable: true }
+  }
+};
+
+const exportedMatch = {
+  type: 'object',
+  fields: {
+    id: { ...id, required: true },
+    team1: recordTeam,
+    team2: recordTeam,
+    bestOf,
+    gameIds: { type: 'array', required: true, items: id },
+    results: { type: 'array', required: true, items: { type: 'object' } },
+    status: { type: 'string', required: true, values: ['in-progress', 'completed'] },
+    startedAt: { ...timestamp, required: true },
+    completedAt: { ...timestamp, nullable: true }
+  }
+};
+
+const exportedTournament = {
+  type: 'object',
+  fields: {
+    id: { ...id, required: true },
+    name: requiredName,
+    organizerId: { ...id, nullable: true },
+    games: { type: 'array', required: true, items: id },
+    status: { type: 'string', values: ['draft', 'active', 'completed', 'archived'] },
+    createdAt: { ...timestamp, required: true }
+  }
+};
+
+const scheduledSide = { type: 'object', required: true, fields: { id: { ...id, required: true }, name: requiredName } };
+
+const exportedRoundRobin = {
+  type: 'object',
+  fields: {
+    id: { ...id, required: true },
+    name: requiredName,
+    organizerId: { ...id, nullable: true },
+    teams: { type: 'array', required: true, minItems: 2, items: scheduledSide },
+    matches: {
+      type: 'array',
+      required: true,
+      items: {
+        type: 'object',
+        fields: {
+          id: { ...id, required: true },
+          round: { type: 'integer', min: 1 },
+          court: { type: 'integer', min: 1, nullable: true },
+          team1: scheduledSide,
+          team2: scheduledSide,
+          status: { type: 'string', required: true }
+        }
+      }
+    },
+    rankings: { type: 'array' },
+    status: { type: 'string', values: ['in-progress', 'completed', 'archived'] },
+    createdAt: { ...timestamp, required: true }
+  }
+};
+
+// Envelope of a JSON export. Format, version and kind are only type-checked
+// here; readExport in transfer.js says what is wrong with their values.
+function exportFile(tournament) {
+  return {
+    type: 'object',
+    fields: {
+      format: { type: 'string', required: true },
+      version: { type: 'integer', required: true },
+      kind: { type: 'string', required: true },
+      exportedAt: { ...timestamp, nullable: true },
+      tournament: { ...tournament, required: true },
+      games: { type: 'array', required: true, items: exportedGame },
+      matches: { type: 'array', required: true, items: exportedMatch }
+    }
+  };
+}
+
+const schemas = {
+  createTournament: {
+    type: 'object',
+    fields: { name: requiredName, organizerId: id, draft: { type: 'boolean' } }
+  },
+
+  tournamentStatus: {
+    type: 'object',
+    fields: { status: { type: 'string', required: true, values: ['draft', 'active', 'completed', 'archived'] } }
+  },
+
+  listTournaments: listQuery(['draft', 'active', 'completed', 'archived']),
+  listRoundRobins: listQuery(['in-progress', 'completed', 'archived']),
+
+  importTournament: exportFile(exportedTournament),
+
+  createGame: newGame,
+
+  createMatch: {
+    ...newGame,
+    fields: { ...newGame.fields, bestOf }
+  },
+
+  score: scoringRequest('score'),
+  undo: scoringRequest('undo'),
+  gameChange: versioned({}),
+
+  timeout: versioned({
+    team: { ...team, required: true },
+    type: { type: 'string', values: ['standard', 'medical'] }
+  }),
+
+  clock: versioned({
+    action: { type: 'string', required: true, values: ['pause', 'resume'] }
+  }),
+
+  issueScorer: {
+    type: 'object',
+    fields: {
+      label: name,
+      gameIds: { type: 'array', items: id },
+      court: gameSettings.fields.court
+    }
+  },
+
+  createRuleSet: {
+    type: 'object',
+    fields: { ...rules.fields, name: requiredName }
+  },
+
+  createPlayer: {
+    type: 'object',
+    fields: { name: requiredName, rating: { type: 'number', min: 0, max: 5000 } }
+  },
+
+  createTeam: {
+    type: 'object',
+    fields: {
+      name: requiredName,
+      playerIds: { type: 'array', required: true, minItems: 1, maxItems: 2, items: id, unique: playerId => playerId }
+    }
+  },
+
+  createRoundRobin: {
+    type: 'object',
+    fields: {
+      name: requiredName,
+      teams: teamList,
+      organizerId: id,
+      ...roundRobinOptions
+    }
+  },
+
+  importRoundRobin: exportFile(exportedRoundRobin),
+
+  createRegistration: {
+    type: 'object',
+    fields: {
+      name: requiredName,
+      organizerId: id,
+      capacity: { type: 'integer', min: 2, max: 256 },
+      ...roundRobinOptions
+    }
+  },
+
+  registerTeam: {
+    type: 'object',
+    fields: {
+      name: requiredName,
+      players: { type: 'array', required: true, minItems: 1, maxItems: 2, items: name, unique: player => player.trim().toLowerCase() },
+      contact: {
+        type: 'object',
+        required: true,
+        fields: { email: { type: 'string', maxLength: 200 }, phone: { type: 'string', maxLength: 40 } },
+        refine: requireContact
+      }
+    }
+  },
+
+  startMatch: {
+    type: 'object',
+    fields: { settings: gameSettings, bestOf }
+  },
+
+  // Takes no options; the result comes from the scored games
+  completeMatch: { type: 'object' },
+
+  matchOutcome: {
+    type: 'object',
+    fields: {
+      type: { type: 'string', required: true, values: ['walkover', 'retirement', 'manual'] },
+      winner: team,
+      retiredTeam: team,
+      team1Score: score,
+      team2Score: score,
+      games: gameScores
+    },
+    refine: body => {
+      if (body.type === 'walkover' && body.winner === undefined) {
+        return [issueAt('winner', 'required', 'is required for a walkover')];
+      }
+      if (body.type === 'retirement' && body.retiredTeam === undefined) {
+        return [issueAt('retiredTeam', 'required', 'is required for a retirement')];
+      }
+      if (body.type === 'manual') return requireResult(body);
+      return [];
+    }
+  },
+
+  correctResult: {
+    type: 'object',
+    fields: {
+      team1Score: { ...score, required: true },
+      team2Score: { ...score, required: true },
+      games: gameScores,
+      reason
+    },
+    refine: body => requireResult(body)
+  },
+
+  voidResult: {
+    type: 'object',
+    fields: { reason }
+  },
+
+  addTeam: {
+    type: 'object',
+    fields: { name, registryId: id },
+    refine: body => body.name || body.registryId
+      ? []
+      : [issueAt('name', 'required', 'or registryId is required')]
+  },
+
+  withdrawTeam: {
+    type: 'object',
+    fields: {
+      unplayed: { type: 'string', values: ['walkover', 'cancel'] },
+      played: { type: 'string', values: ['keep', 'void'] },
+      reason
+    }
+  },
+
+  createBracket: {
+    type: 'object',
+    fields: {
+      name: requiredName,
+      teams: teamList,
+      organizerId: id,
+      ...bracketOptions
+    }
+  },
+
+  createPoolEvent: {
+    type: 'object',
+    fields: {
+      name: requiredName,
+      teams: teamList,
+      organizerId: id,
+      ...poolOptions
+    },
+    refine: body => requirePoolSize(body.teams, body.poolCount, 'poolCount')
+  },
+
+  createEvent: {
+    type: 'object',
+    fields: {
+      name: requiredName,
+      organizerId: id,
+      courts: { type: 'integer', min: 1, max: 100 }
+    }
+  },
+
+  // `courts` are venue court numbers; the event checks they exist
+  createDivision: {
+    type: 'object',
+    fields: {
+      name: requiredName,
+      format: { type: 'string', required: true, values: DIVISION_FORMATS },
+      teams: teamList,
+      courts: { type: 'array', minItems: 1, maxItems: 100, items: { type: 'integer', min: 1, max: 100 }, unique: court => court },
+      settings: gameSettings,
+      options: { type: 'object' }
+    },
+    refine: body => {
+      const options = body.options || {};
+      const issues = validate(divisionOptions[body.format], options, 'options');
+      if (issues.length > 0 || body.format !== 'pools') return issues;
+      return requirePoolSize(body.teams, options.poolCount, 'options.poolCount');
+    }
+  },
+
+  createWebhook: {
+    type: 'object',
+    fields: { ...webhookFields, url: { ...webhookFields.url, required: true } },
+    refine: requireWebUrl
+  },
+
+  updateWebhook: {
+    type: 'object',
+    fields: webhookFields,
+    refine: requireWebUrl
+  },
+
+  // Socket payloads: the id of the room to join or leave
+  roomId: { ...id, required: true }
+};
+
+// A finished result has two different scores
+function requireResult(body) {
+  const issues = ['team1Score', 'team2Score']
+    .filter(key => body[key] === undefined)
+    .map(key => issueAt(key, 'required', 'is required'));
+  if (issues.length === 0 && body.team1Score === body.team2Score) {
+    issues.push(issueAt('team2Score', 'invalid_value', 'must differ from team1Score'));
+  }
+  return issues;
+}
+
+module.exports = {
+  MAX_BATCH_EVENTS,
+  schemas
+};
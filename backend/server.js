@@ -1,10 +1,40 @@
 // server.js
 const express = require('express');
 const http = require('http');
+const path = require('path');
 const socketIo = require('socket.io');
 const cors = require('cors');
 const { v4: uuidv4 } = require('uuid');
 const RoundRobinTournament = require('./roundRobin'); // Add this import
+const BracketTournament = require('./bracket');
+const PoolPlayEvent = require('./pools');
+const Registration = require('./registration');
+const { MultiDivisionEvent, createJoinCode } = require('./events');
+const Match = require('./match');
+const { AccessToken, AccessControl, getRequestToken, writeIssuedToken } = require('./auth');
+const { Repository, createStore } = require('./storage');
+const { Player, RegisteredTeam, Registry } = require('./registry');
+const { getGameStats, getTournamentStats } = require('./stats');
+const { buildExport, readExport, toResultsCsv, toGamesCsv, toCalendar } = require('./transfer');
+const { WEBHOOK_EVENTS, WebhookSubscription, WebhookDelivery, WebhookDispatcher } = require('./webhooks');
+const {
+  validate,
+  issueAt,
+  validationError,
+  validateBody,
+  withErrorCode,
+  addErrorCodes,
+  handleRequestError
+} = require('./validation');
+const { MAX_BATCH_EVENTS, schemas } = require('./schemas');
+const {
+  RuleSet,
+  PRESET_RULE_SETS,
+  pickRules,
+  rulesFromSettings,
+  validateRules,
+  getWinner
+} = require('./rules');
 
 const app = express();
 const server = http.createServer(app);
@@ -12,7 +42,8 @@ const server = http.createServer(app);
 // Configure CORS for REST API
 app.use(cors({
   origin: process.env.CLIENT_URL || 'http://localhost:3000',
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['ETag', 'X-Total-Count']
 }));
 
 // Configure Socket.IO with CORS
@@ -24,24 +55,69 @@ const io = socketIo(server, {
   }
 });
 
-app.use(express.json());
+// Error responses are { error, code }, plus `details` for invalid requests
+app.use(addErrorCodes);
 
-// In-memory storage (replace with database in production)
-const tournaments = new Map();
-const games = new Map();
-const roundRobinTournaments = new Map(); // Add this storage
+// Imports carry full game histories, so allow larger bodies than the default
+app.use(express.json({ limit: '5mb' }));
+
+// Each game keeps this many idempotency keys to spot repeated offline events
+const MAX_IDEMPOTENCY_KEYS = 500;
+
+// Lifecycle of a tournament: the statuses each one can move on to
+const TOURNAMENT_TRANSITIONS = {
+  draft: ['active'],
+  active: ['completed'],
+  completed: ['active', 'archived'],
+  archived: ['completed']
+};
 
 // Tournament structure
 class Tournament {
-  constructor(name, organizerId) {
+  constructor(name, organizerId, options = {}) {
     this.id = uuidv4();
     this.name = name;
     this.organizerId = organizerId;
     this.games = [];
     this.createdAt = new Date();
-    this.status = 'active'; // active, completed
+    this.status = options.draft ? 'draft' : 'active'; // draft, active, completed, archived
+    this.statusChangedAt = this.createdAt;
     this.viewers = new Set();
   }
+
+  // Games are set up before and during play, but only scored during it
+  canAddGames() {
+    return this.status === 'draft' || this.status === 'active';
+  }
+
+  canScore() {
+    return this.status === 'active';
+  }
+
+  canMoveTo(status) {
+    return TOURNAMENT_TRANSITIONS[this.status].includes(status);
+  }
+
+  setStatus(status) {
+    if (!this.canMoveTo(status)) return false;
+    this.status = status;
+    this.statusChangedAt = new Date();
+    return true;
+  }
+
+  // Viewers are live socket ids, so they are never persisted
+  toRecord() {
+    const { viewers, ...record } = this;
+    return JSON.parse(JSON.stringify(record));
+  }
+
+  static fromRecord(record) {
+    const tournament = Object.assign(Object.create(Tournament.prototype), record);
+    tournament.createdAt = new Date(record.createdAt);
+    tournament.statusChangedAt = new Date(record.statusChangedAt || record.createdAt);
+    tournament.viewers = new Set();
+    return tournament;
+  }
 }
 
 // Game structure
@@ -49,35 +125,141 @@ class Game {
   constructor(tournamentId, team1Name, team2Name, settings) {
     this.id = uuidv4();
     this.tournamentId = tournamentId;
+    this.gameFormat = settings.gameFormat || 'singles';
+    // Resolved rule set; older callers may still pass loose playTo/scoringSystem
+    this.rules = settings.rules ? pickRules(settings.rules) : rulesFromSettings(settings);
+    const ruleErrors = validateRules(this.rules);
+    if (ruleErrors.length > 0) {
+      throw new Error(`Invalid rules: ${ruleErrors.join('; ')}`);
+    }
+    this.scoringSystem = this.rules.scoringSystem;
+    this.playTo = this.rules.target;
+    // The first player listed starts on the right-hand (even) court.
+    // registryId links a team to the player registry for ratings.
     this.team1 = {
       name: team1Name,
-      score: 0
+      registryId: settings.team1RegistryId || null,
+      score: 0,
+      timeoutsUsed: 0,
+      medicalTimeoutsUsed: 0,
+      players: buildPlayers(team1Name, settings.team1Players, this.gameFormat)
     };
     this.team2 = {
       name: team2Name,
-      score: 0
+      registryId: settings.team2RegistryId || null,
+      score: 0,
+      timeoutsUsed: 0,
+      medicalTimeoutsUsed: 0,
+      players: buildPlayers(team2Name, settings.team2Players, this.gameFormat)
     };
     this.servingTeam = settings.servingTeam || 1;
-    this.serverNumber = settings.serverNumber || 1;
-    this.gameFormat = settings.gameFormat || 'singles';
-    this.scoringSystem = settings.scoringSystem || 'sideout';
-    this.playTo = settings.playTo || 11;
-    this.history = [];
+    this.servingPlayer = this.getRightPlayer(this.servingTeam);
+    // Side-out doubles starts on the second server ("0-0-2"), so the
+    // opening team only gets one service turn before the first side-out
+    this.firstServiceTurn = true;
+    this.serverNumber = this.usesSecondServer() && this.rules.firstServerException
+      ? 2
+      : settings.serverNumber || 1;
+    // Set when the game is part of a multi-game match
+    this.matchId = settings.matchId || null;
+    this.gameNumber = settings.gameNumber || 1;
+    // Single games switch ends only when their rule set names a point
+    this.endChangeAt = settings.endChangeAt || (this.matchId ? null : this.rules.endChangeAt);
+    this.endsSwitched = false;
+    this.activeTimeout = null; // { team, type, startedAt } until play resumes
+    this.court = settings.court || null;
+    // Creation settings are kept so the game can be rebuilt from its events
+    this.settings = JSON.parse(JSON.stringify(settings));
+    this.history = []; // snapshots for undo
+    this.events = []; // rally-by-rally log, including undos and redos
+    this.redoStack = [];
     this.status = 'in-progress'; // in-progress, completed
     this.winner = null;
     this.startedAt = new Date();
     this.completedAt = null;
     this.rallyCount = 0;
+    this.retiredTeam = null; // set when a team retires before the finish
+    // Game clock; paused time is left out of elapsedMs
+    this.clock = { running: true, elapsedMs: 0, runningSince: this.startedAt };
+    // Client events already handled, so resent offline queues apply once:
+    // the last sequence number per scoring device and recent idempotency keys
+    this.sync = { clients: {}, keys: [] };
+    // Bumped by every change; devices send it back to detect conflicting edits
+    this.version = 0;
+  }
+
+  updateScore(winningTeam, timestamp = new Date()) {
+    this.applyRally(winningTeam, timestamp);
+    this.redoStack = [];
+    this.recordEvent('rally', winningTeam, timestamp);
+    return this.getGameState();
+  }
+
+  // Manual serve correction; undoable like a rally
+  switchServe(timestamp = new Date()) {
+    this.applyServeSwitch(timestamp);
+    this.redoStack = [];
+    this.recordEvent('serve-switch', null, timestamp);
+    return this.getGameState();
+  }
+
+  // Charge a timeout to a team; the clock stops until play resumes
+  callTimeout(team, type = 'standard', timestamp = new Date()) {
+    if (this.getTimeoutsRemaining(team, type) <= 0) return null;
+
+    this.applyTimeout(team, type, timestamp);
+    this.redoStack = [];
+    this.recordEvent('timeout', team, timestamp, { timeoutType: type });
+    return this.getGameState();
+  }
+
+  pauseClock(timestamp = new Date()) {
+    if (!this.clock.running) return null;
+
+    this.applyClock('pause', timestamp);
+    this.redoStack = [];
+    this.recordEvent('clock', null, timestamp, { clockAction: 'pause' });
+    return this.getGameState();
+  }
+
+  resumeClock(timestamp = new Date()) {
+    if (this.clock.running) return null;
+
+    this.applyClock('resume', timestamp);
+    this.redoStack = [];
+    this.recordEvent('clock', null, timestamp, { clockAction: 'resume' });
+    return this.getGameState();
+  }
+
+  // End the game early because a team cannot continue; the score stands
+  retire(retiredTeam, timestamp = new Date()) {
+    this.retiredTeam = retiredTeam;
+    this.winner = 3 - retiredTeam;
+    this.status = 'completed';
+    this.completedAt = timestamp;
+    this.activeTimeout = null;
+    this.stopClock(timestamp);
+    this.recordEvent('retirement', retiredTeam, timestamp);
+    return this.getGameState();
+  }
+
+  // Confirm that the teams have changed ends
+  switchEnds(timestamp = new Date()) {
+    if (this.endsSwitched) return null;
+
+    this.applyEndChange(timestamp);
+    this.redoStack = [];
+    this.recordEvent('end-change', null, timestamp);
+    return this.getGameState();
   }
 
-  updateScore(winningTeam) {
+  applyRally(winningTeam, timestamp) {
+    const previousState = this.captureState();
     this.rallyCount++;
-    const previousState = JSON.parse(JSON.stringify({
-      team1: this.team1,
-      team2: this.team2,
-      servingTeam: this.servingTeam,
-      serverNumber: this.serverNumber
-    }));
+
+    // A rally means play has resumed after a timeout or pause
+    this.activeTimeout = null;
+    this.startClock(timestamp);
 
     if (this.scoringSystem === 'rally') {
       this.handleRallyScoring(winningTeam);
@@ -87,26 +269,162 @@ class Game {
 
     this.history.push({
       ...previousState,
-      timestamp: new Date(),
+      timestamp,
+      type: 'rally',
+      team: winningTeam,
       action: `Rally won by Team ${winningTeam}`
     });
 
-    this.checkWinner();
-    return this.getGameState();
+    this.checkWinner(timestamp);
+  }
+
+  applyServeSwitch(timestamp) {
+    const previousState = this.captureState();
+
+    this.handleSideOut();
+
+    this.history.push({
+      ...previousState,
+      timestamp,
+      type: 'serve-switch',
+      team: null,
+      action: 'Manual serve switch'
+    });
+  }
+
+  applyTimeout(team, type, timestamp) {
+    const previousState = this.captureState();
+
+    this[`team${team}`][type === 'medical' ? 'medicalTimeoutsUsed' : 'timeoutsUsed']++;
+    this.stopClock(timestamp);
+    this.activeTimeout = { team, type, startedAt: timestamp };
+
+    this.history.push({
+      ...previousState,
+      timestamp,
+      type: 'timeout',
+      team,
+      details: { timeoutType: type },
+      action: `${type === 'medical' ? 'Medical timeout' : 'Timeout'} for Team ${team}`
+    });
+  }
+
+  applyClock(clockAction, timestamp) {
+    const previousState = this.captureState();
+
+    if (clockAction === 'pause') {
+      this.stopClock(timestamp);
+    } else {
+      this.activeTimeout = null;
+      this.startClock(timestamp);
+    }
+
+    this.history.push({
+      ...previousState,
+      timestamp,
+      type: 'clock',
+      team: null,
+      details: { clockAction },
+      action: clockAction === 'pause' ? 'Clock paused' : 'Clock resumed'
+    });
+  }
+
+  applyEndChange(timestamp) {
+    const previousState = this.captureState();
+
+    this.endsSwitched = true;
+
+    this.history.push({
+      ...previousState,
+      timestamp,
+      type: 'end-change',
+      team: null,
+      action: 'Ends switched'
+    });
+  }
+
+  startClock(timestamp) {
+    if (this.clock.running) return;
+    this.clock = { running: true, elapsedMs: this.clock.elapsedMs, runningSince: timestamp };
+  }
+
+  stopClock(timestamp) {
+    if (!this.clock.running) return;
+    this.clock = { running: false, elapsedMs: this.getClockElapsed(timestamp), runningSince: null };
+  }
+
+  getClockElapsed(now = new Date()) {
+    if (!this.clock.running) return this.clock.elapsedMs;
+    return this.clock.elapsedMs + (new Date(now) - new Date(this.clock.runningSince));
+  }
+
+  getTimeoutsRemaining(team, type = 'standard') {
+    const teamState = this[`team${team}`];
+    if (!teamState) return 0;
+    return type === 'medical'
+      ? this.rules.medicalTimeoutsPerGame - teamState.medicalTimeoutsUsed
+      : this.rules.timeoutsPerGame - teamState.timeoutsUsed;
+  }
+
+  // The configured end-change score has been reached but not yet acted on
+  isEndChangeDue() {
+    return this.endChangeAt !== null && !this.endsSwitched &&
+      Math.max(this.team1.score, this.team2.score) >= this.endChangeAt;
+  }
+
+  captureState() {
+    return JSON.parse(JSON.stringify({
+      team1: this.team1,
+      team2: this.team2,
+      servingTeam: this.servingTeam,
+      serverNumber: this.serverNumber,
+      servingPlayer: this.servingPlayer,
+      firstServiceTurn: this.firstServiceTurn,
+      rallyCount: this.rallyCount,
+      clock: this.clock,
+      endsSwitched: this.endsSwitched,
+      activeTimeout: this.activeTimeout
+    }));
+  }
+
+  // Append to the event log with the state that resulted from the event
+  recordEvent(type, team, timestamp, details = {}) {
+    this.version++;
+    this.events.push({
+      seq: this.events.length + 1,
+      type, // rally, serve-switch, undo, redo
+      team,
+      score: {
+        team1: this.team1.score,
+        team2: this.team2.score
+      },
+      servingTeam: this.servingTeam,
+      serverNumber: this.serverNumber,
+      serverName: this.getServerName(),
+      scoreCall: this.getScoreCall(),
+      status: this.status,
+      timestamp,
+      ...details
+    });
   }
 
   handleRallyScoring(winningTeam) {
+    const frozen = this.isFrozenPoint(winningTeam);
     if (winningTeam === 1) {
-      this.team1.score++;
+      if (!frozen) this.team1.score++;
       if (this.servingTeam === 2) {
         this.servingTeam = 1;
         this.serverNumber = 1;
+        this.servingPlayer = this.getRightPlayer(1);
+        this.firstServiceTurn = false;
       }
     } else {
-      this.team2.score++;
+      if (!frozen) this.team2.score++;
       if (this.servingTeam === 1) {
         this.servingTeam = 2;
         this.serverNumber = 1;
+        this.servingPlayer = this.getRightPlayer(2);
+        this.firstServiceTurn = false;
       }
     }
   }
@@ -128,41 +446,89 @@ class Game {
   }
 
   handleSideOut() {
-    if (this.gameFormat === 'doubles') {
-      if (this.servingTeam === 1 && this.serverNumber === 1 && 
-          !(this.rallyCount <= 1 && this.scoringSystem === 'sideout')) {
-        this.serverNumber = 2;
-      } else if (this.servingTeam === 2 && this.serverNumber === 1) {
-        this.serverNumber = 2;
-      } else {
-        this.servingTeam = this.servingTeam === 1 ? 2 : 1;
-        this.serverNumber = 1;
-      }
+    if (this.usesSecondServer() && this.serverNumber === 1) {
+      // Partner serves next from wherever they are standing
+      this.serverNumber = 2;
+      this.servingPlayer = 1 - this.servingPlayer;
     } else {
+      // Side out: the player now on the right-hand court serves first
       this.servingTeam = this.servingTeam === 1 ? 2 : 1;
+      this.serverNumber = 1;
+      this.servingPlayer = this.getRightPlayer(this.servingTeam);
+      this.firstServiceTurn = false;
     }
   }
 
-  checkWinner() {
-    const team1Score = this.team1.score;
-    const team2Score = this.team2.score;
-    const winBy2 = Math.abs(team1Score - team2Score) >= 2;
+  usesSecondServer() {
+    return this.gameFormat === 'doubles' && this.scoringSystem === 'sideout';
+  }
+
+  // Players only switch sides when their team scores on serve, so the
+  // player who started on the right is back there whenever the score is even
+  getRightPlayer(teamNumber) {
+    const team = this[`team${teamNumber}`];
+    if (team.players.length < 2) return 0;
+    return team.score % 2 === 0 ? 0 : 1;
+  }
+
+  getCourtPositions(teamNumber) {
+    const team = this[`team${teamNumber}`];
+    const right = this.getRightPlayer(teamNumber);
+    return {
+      right: team.players[right].name,
+      left: team.players.length > 1 ? team.players[1 - right].name : null
+    };
+  }
+
+  getServerName() {
+    return this[`team${this.servingTeam}`].players[this.servingPlayer].name;
+  }
+
+  // Official call: server score, receiver score and, in side-out doubles, server number
+  getScoreCall() {
+    const serving = this[`team${this.servingTeam}`].score;
+    const receiving = this[`team${this.servingTeam === 1 ? 2 : 1}`].score;
+    return this.usesSecondServer()
+      ? `${serving}-${receiving}-${this.serverNumber}`
+      : `${serving}-${receiving}`;
+  }
 
-    if ((team1Score >= this.playTo || team2Score >= this.playTo) && winBy2) {
-      this.winner = team1Score > team2Score ? 1 : 2;
+  checkWinner(timestamp = new Date()) {
+    const winner = getWinner(this.rules, this.team1.score, this.team2.score);
+    if (winner) {
+      this.winner = winner;
       this.status = 'completed';
-      this.completedAt = new Date();
+      this.completedAt = timestamp;
+      this.stopClock(timestamp);
     }
   }
 
-  undo() {
+  // Freeze variant: a rally won by the receiving team that would end the
+  // game only wins back the serve
+  isFrozenPoint(winningTeam) {
+    if (!this.rules.freezeAtGamePoint || winningTeam === this.servingTeam) return false;
+    const team1Score = this.team1.score + (winningTeam === 1 ? 1 : 0);
+    const team2Score = this.team2.score + (winningTeam === 2 ? 1 : 0);
+    return getWinner(this.rules, team1Score, team2Score) !== null;
+  }
+
+  undo(timestamp = new Date()) {
     if (this.history.length > 0) {
       const previousState = this.history.pop();
       this.team1 = previousState.team1;
       this.team2 = previousState.team2;
       this.servingTeam = previousState.servingTeam;
       this.serverNumber = previousState.serverNumber;
-      this.rallyCount = Math.max(0, this.rallyCount - 1);
+      this.servingPlayer = previousState.servingPlayer || 0;
+      this.firstServiceTurn = previousState.firstServiceTurn || false;
+      this.rallyCount = previousState.rallyCount !== undefined
+        ? previousState.rallyCount
+        : Math.max(0, this.rallyCount - 1);
+      if (previousState.clock) {
+        this.clock = previousState.clock;
+        this.endsSwitched = previousState.endsSwitched;
+        this.activeTimeout = previousState.activeTimeout;
+      }
       
       // Reopen game if it was completed
       if (this.status === 'completed') {
@@ -170,330 +536,2923 @@ class Game {
         this.winner = null;
         this.completedAt = null;
       }
+
+      // Snapshots from before the event log cannot be redone
+      if (previousState.type) {
+        this.redoStack.push({
+          type: previousState.type,
+          team: previousState.team,
+          details: previousState.details || {}
+        });
+      }
+      this.recordEvent('undo', previousState.team || null, timestamp, {
+        undoneType: previousState.type || null
+      });
       
       return this.getGameState();
     }
     return null;
   }
 
+  // Re-apply the most recently undone action
+  redo(timestamp = new Date()) {
+    const action = this.redoStack.pop();
+    if (!action) return null;
+
+    if (action.type === 'rally') {
+      this.applyRally(action.team, timestamp);
+    } else if (action.type === 'timeout') {
+      this.applyTimeout(action.team, action.details.timeoutType, timestamp);
+    } else if (action.type === 'clock') {
+      this.applyClock(action.details.clockAction, timestamp);
+    } else if (action.type === 'end-change') {
+      this.applyEndChange(timestamp);
+    } else {
+      this.applyServeSwitch(timestamp);
+    }
+    this.recordEvent('redo', action.team, timestamp, { redoneType: action.type });
+
+    return this.getGameState();
+  }
+
+  // Rebuild the game as it stood after its first `count` events by
+  // replaying them from the creation settings
+  replay(count = this.events.length) {
+    const game = new Game(this.tournamentId, this.team1.name, this.team2.name, this.settings);
+    game.id = this.id;
+    game.startedAt = this.startedAt;
+    game.clock = { running: true, elapsedMs: 0, runningSince: this.startedAt };
+
+    this.events.slice(0, count).forEach(event => {
+      const timestamp = new Date(event.timestamp);
+      if (event.type === 'rally') {
+        game.updateScore(event.team, timestamp);
+      } else if (event.type === 'serve-switch') {
+        game.switchServe(timestamp);
+      } else if (event.type === 'timeout') {
+        game.callTimeout(event.team, event.timeoutType, timestamp);
+      } else if (event.type === 'clock') {
+        if (event.clockAction === 'pause') game.pauseClock(timestamp);
+        else game.resumeClock(timestamp);
+      } else if (event.type === 'end-change') {
+        game.switchEnds(timestamp);
+      } else if (event.type === 'retirement') {
+        game.retire(event.team, timestamp);
+      } else if (event.type === 'undo') {
+        game.undo(timestamp);
+      } else if (event.type === 'redo') {
+        game.redo(timestamp);
+      }
+    });
+
+    return game;
+  }
+
+  // An event is a repeat when its idempotency key was seen before or its
+  // device has already sent a later sequence number
+  isDuplicateEvent({ clientId, clientSeq, idempotencyKey }) {
+    if (idempotencyKey && this.sync.keys.includes(idempotencyKey)) return true;
+    return !!clientId && Number.isInteger(clientSeq) && clientSeq <= (this.sync.clients[clientId] || 0);
+  }
+
+  // Remember an event as handled, whether it was applied or rejected
+  markEventHandled({ clientId, clientSeq, idempotencyKey }) {
+    if (idempotencyKey) {
+      this.sync.keys.push(idempotencyKey);
+      this.sync.keys = this.sync.keys.slice(-MAX_IDEMPOTENCY_KEYS);
+    }
+    if (clientId && Number.isInteger(clientSeq)) {
+      this.sync.clients[clientId] = Math.max(this.sync.clients[clientId] || 0, clientSeq);
+    }
+  }
+
   getGameState() {
     return {
       id: this.id,
+      version: this.version,
       tournamentId: this.tournamentId,
       team1: this.team1,
       team2: this.team2,
       servingTeam: this.servingTeam,
       serverNumber: this.serverNumber,
+      servingPlayer: this.servingPlayer,
+      serverName: this.getServerName(),
+      scoreCall: this.getScoreCall(),
+      firstServiceTurn: this.firstServiceTurn,
+      positions: {
+        team1: this.getCourtPositions(1),
+        team2: this.getCourtPositions(2)
+      },
       gameFormat: this.gameFormat,
       scoringSystem: this.scoringSystem,
       playTo: this.playTo,
+      rules: this.rules,
       status: this.status,
       winner: this.winner,
       startedAt: this.startedAt,
       completedAt: this.completedAt,
       rallyCount: this.rallyCount,
-      historyLength: this.history.length
+      historyLength: this.history.length,
+      eventCount: this.events.length,
+      canRedo: this.redoStack.length > 0,
+      matchId: this.matchId,
+      gameNumber: this.gameNumber,
+      endChangeAt: this.endChangeAt,
+      court: this.court,
+      retiredTeam: this.retiredTeam,
+      endsSwitched: this.endsSwitched,
+      endChangeDue: this.isEndChangeDue(),
+      timeouts: {
+        team1: {
+          remaining: this.getTimeoutsRemaining(1),
+          medicalRemaining: this.getTimeoutsRemaining(1, 'medical')
+        },
+        team2: {
+          remaining: this.getTimeoutsRemaining(2),
+          medicalRemaining: this.getTimeoutsRemaining(2, 'medical')
+        }
+      },
+      activeTimeout: this.activeTimeout,
+      clock: {
+        running: this.clock.running,
+        elapsedMs: this.getClockElapsed(),
+        runningSince: this.clock.runningSince
+      }
+    };
+  }
+
+  // Undo snapshots are left out: they are rebuilt from the event log on
+  // load. Snapshots from before the log cannot be, so those games keep theirs.
+  toRecord() {
+    const keepHistory = this.history.some(entry => !entry.type);
+    return JSON.parse(JSON.stringify({ ...this, history: keepHistory ? this.history : undefined }));
+  }
+
+  static fromRecord(record) {
+    const game = Object.assign(Object.create(Game.prototype), record);
+    game.startedAt = new Date(record.startedAt);
+    game.completedAt = record.completedAt ? new Date(record.completedAt) : null;
+    // Games stored before the event log existed start with an empty log
+    game.settings = record.settings || {
+      gameFormat: record.gameFormat,
+      scoringSystem: record.scoringSystem,
+      playTo: record.playTo
     };
+    game.events = record.events || [];
+    game.redoStack = record.redoStack || [];
+    // Games stored before rule sets were played to win-by-2 without a cap
+    game.rules = pickRules(record.rules || rulesFromSettings(record));
+    ['team1', 'team2'].forEach(key => {
+      if (!game[key].players) {
+        game[key].players = buildPlayers(game[key].name, null, game.gameFormat);
+      }
+    });
+    game.servingPlayer = record.servingPlayer || 0;
+    game.firstServiceTurn = record.firstServiceTurn || false;
+    // Games stored before timeouts and the game clock existed
+    ['team1', 'team2'].forEach(key => {
+      game[key].timeoutsUsed = game[key].timeoutsUsed || 0;
+      game[key].medicalTimeoutsUsed = game[key].medicalTimeoutsUsed || 0;
+    });
+    game.activeTimeout = record.activeTimeout || null;
+    game.retiredTeam = record.retiredTeam || null;
+    game.sync = record.sync || { clients: {}, keys: [] };
+    game.version = record.version !== undefined ? record.version : game.events.length;
+    if (record.endsSwitched === undefined) {
+      game.endsSwitched = game.endChangeAt !== null &&
+        Math.max(game.team1.score, game.team2.score) >= game.endChangeAt;
+    }
+    game.clock = record.clock || (game.completedAt
+      ? { running: false, elapsedMs: game.completedAt - game.startedAt, runningSince: null }
+      : { running: true, elapsedMs: 0, runningSince: game.startedAt });
+    game.history = record.history || game.replay().history;
+    return game;
   }
 }
 
-// REST API Endpoints
+// Player names for a team, defaulting to the team name in singles
+function buildPlayers(teamName, playerNames, gameFormat) {
+  const count = gameFormat === 'doubles' ? 2 : 1;
+  return Array.from({ length: count }, (_, index) => {
+    const name = playerNames && playerNames[index];
+    if (name) return { name };
+    return { name: count === 1 ? teamName : `${teamName} Player ${index + 1}` };
+  });
+}
 
-// Create a new tournament
-app.post('/api/tournaments', (req, res) => {
-  const { name, organizerId } = req.body;
-  const tournament = new Tournament(name, organizerId || uuidv4());
-  tournaments.set(tournament.id, tournament);
-  res.json(tournament);
-});
+// Persistent storage; set STORAGE_DRIVER=memory to keep everything in memory only
+const store = createStore();
+const tournaments = new Repository(store, 'tournaments', Tournament).load();
+const games = new Repository(store, 'games', Game).load();
+const roundRobinTournaments = new Repository(store, 'roundRobinTournaments', RoundRobinTournament).load();
+const bracketTournaments = new Repository(store, 'bracketTournaments', BracketTournament).load();
+const poolEvents = new Repository(store, 'poolEvents', PoolPlayEvent).load();
+const registrations = new Repository(store, 'registrations', Registration).load();
+const divisionEvents = new Repository(store, 'divisionEvents', MultiDivisionEvent).load();
+const matches = new Repository(store, 'matches', Match).load();
+const accessTokens = new Repository(store, 'accessTokens', AccessToken).load();
+const access = new AccessControl(accessTokens);
+const registeredPlayers = new Repository(store, 'players', Player).load();
+const registeredTeams = new Repository(store, 'registeredTeams', RegisteredTeam).load();
+const registry = new Registry(registeredPlayers, registeredTeams);
+const ruleSets = new Repository(store, 'ruleSets', RuleSet).load();
+const webhookSubscriptions = new Repository(store, 'webhooks', WebhookSubscription).load();
+const webhookDeliveries = new Repository(store, 'webhookDeliveries', WebhookDelivery).load();
+const webhooks = new WebhookDispatcher(webhookSubscriptions, webhookDeliveries);
+webhooks.resume();
 
-// Get all active tournaments
-app.get('/api/tournaments', (req, res) => {
-  const activeTournaments = Array.from(tournaments.values())
-    .filter(t => t.status === 'active')
-    .map(t => ({
-      id: t.id,
-      name: t.name,
-      createdAt: t.createdAt,
-      gameCount: t.games.length,
-      viewerCount: t.viewers.size
-    }));
-  res.json(activeTournaments);
+// Events stored before access tokens existed get an organizer token so they
+// stay manageable. The tokens go to ISSUED_TOKENS_FILE, not to the log.
+const ISSUED_TOKENS_FILE = process.env.ISSUED_TOKENS_FILE || path.join(__dirname, 'data', 'issued-tokens.jsonl');
+[tournaments, roundRobinTournaments, bracketTournaments, poolEvents].forEach(repository => {
+  repository.forEach(tournament => {
+    if (getParentEventId(tournament) || access.hasOrganizer(tournament.id)) return;
+    const { token } = access.issue(tournament.id, 'organizer');
+    writeIssuedToken(ISSUED_TOKENS_FILE, { tournamentId: tournament.id, name: tournament.name, token, issuedAt: new Date() });
+    console.log(`Issued organizer token for tournament ${tournament.id}; see ${ISSUED_TOKENS_FILE}`);
+  });
 });
 
-// Get tournament details
-app.get('/api/tournaments/:id', (req, res) => {
-  const tournament = tournaments.get(req.params.id);
-  if (!tournament) {
-    return res.status(404).json({ error: 'Tournament not found' });
-  }
-  
-  const tournamentData = {
-    ...tournament,
-    viewers: Array.from(tournament.viewers),
-    games: tournament.games.map(gameId => games.get(gameId)?.getGameState())
-  };
-  res.json(tournamentData);
-});
+// Event a tournament was created by: a pool-play event, a registration or a
+// multi-division event; null for standalone tournaments
+function getParentEventId(tournament) {
+  return tournament.poolEventId || tournament.registrationId || tournament.divisionEventId || null;
+}
 
-// Create a new game in a tournament
-app.post('/api/tournaments/:tournamentId/games', (req, res) => {
-  const { tournamentId } = req.params;
-  const { team1Name, team2Name, settings } = req.body;
-  
-  const tournament = tournaments.get(tournamentId);
-  if (!tournament) {
-    return res.status(404).json({ error: 'Tournament not found' });
+// Ids whose tokens apply to a tournament: the tournament itself and the
+// events above it, e.g. pool -> pool-play event -> multi-division event
+function getAccessScope(tournamentId) {
+  const scope = [tournamentId];
+  let owner = roundRobinTournaments.get(tournamentId) || bracketTournaments.get(tournamentId);
+  let parentId = owner && getParentEventId(owner);
+  while (parentId && !scope.includes(parentId)) {
+    scope.push(parentId);
+    // Only pool-play events sit below another event
+    owner = poolEvents.get(parentId);
+    parentId = owner && getParentEventId(owner);
   }
+  return scope;
+}
 
-  const game = new Game(tournamentId, team1Name, team2Name, settings);
-  games.set(game.id, game);
-  tournament.games.push(game.id);
-  
-  // Notify all viewers
-  io.to(`tournament-${tournamentId}`).emit('gameCreated', game.getGameState());
-  
-  res.json(game.getGameState());
-});
+// Send an event to webhooks on the tournament and on the events above it
+function notifyWebhooks(tournamentId, event, data) {
+  getAccessScope(tournamentId).forEach(id => webhooks.publish(id, event, data));
+}
 
-// Get game state
-app.get('/api/games/:id', (req, res) => {
-  const game = games.get(req.params.id);
-  if (!game) {
-    return res.status(404).json({ error: 'Game not found' });
+// Only organizers of the tournament named in the route may continue
+function requireOrganizer(req, res, next) {
+  const token = getRequestToken(req);
+  if (!token) {
+    return res.status(401).json({ error: 'Access token required' });
   }
-  res.json(game.getGameState());
-});
 
-// Update game score
-app.post('/api/games/:id/score', (req, res) => {
-  const { winningTeam } = req.body;
-  const game = games.get(req.params.id);
-  
-  if (!game) {
-    return res.status(404).json({ error: 'Game not found' });
+  const tournamentId = req.params.tournamentId || req.params.id;
+  if (!access.canManage(token, getAccessScope(tournamentId))) {
+    return res.status(403).json({ error: 'Organizer access required' });
   }
-  
-  if (game.status === 'completed') {
-    return res.status(400).json({ error: 'Game is already completed' });
+  next();
+}
+
+// Who made a change, for audit trails
+function getActor(req) {
+  return getTokenActor(getRequestToken(req));
+}
+
+function getTokenActor(token) {
+  const accessToken = access.find(token);
+  return accessToken
+    ? { tokenId: accessToken.id, role: accessToken.role, label: accessToken.label }
+    : null;
+}
+
+// Organizers, or scorers assigned to the game the route acts on. A missing
+// game is left for the route itself to report.
+function requireScorer(findGame) {
+  return (req, res, next) => {
+    const game = findGame(req);
+    const denied = game && getScoringDenial(getRequestToken(req), game);
+    if (denied) {
+      return res.status(denied.status).json(denied.body);
+    }
+    next();
+  };
+}
+
+// Error result when a token may not score a game, or null
+function getScoringDenial(token, game) {
+  if (!token) {
+    return commandError(401, 'Access token required');
+  }
+  if (!access.canScore(token, getAccessScope(game.tournamentId), game)) {
+    return commandError(403, 'Not authorized to score this game');
   }
+  return null;
+}
 
-  const gameState = game.updateScore(winningTeam);
-  
-  // Notify all viewers in the tournament
-  io.to(`tournament-${game.tournamentId}`).emit('scoreUpdate', gameState);
-  io.to(`game-${game.id}`).emit('scoreUpdate', gameState);
-  
-  res.json(gameState);
-});
+const requireGameScorer = requireScorer(req => games.get(req.params.id));
 
-// Undo last action
-app.post('/api/games/:id/undo', (req, res) => {
+// Version a change was based on, from `expectedVersion` in the body or an
+// If-Match header; null when the client did not say
+function getExpectedVersion(req) {
+  if (req.body && req.body.expectedVersion !== undefined) {
+    return Number(req.body.expectedVersion);
+  }
+  const ifMatch = req.get('If-Match');
+  return ifMatch && ifMatch !== '*' ? Number(ifMatch.replace(/^W\//, '').replace(/"/g, '')) : null;
+}
+
+// Body of the 409 sent when the game has moved on since the version the
+// client expected (null when it did not say), or null when the change can go ahead
+function getVersionConflict(expected, game) {
+  if (expected === null || expected === game.version) return null;
+  return { error: 'Score changed by another device', code: 'version_conflict', game: game.getGameState() };
+}
+
+// Optimistic concurrency for mutating game routes
+function requireGameVersion(req, res, next) {
   const game = games.get(req.params.id);
-  
-  if (!game) {
-    return res.status(404).json({ error: 'Game not found' });
+  const conflict = game && getVersionConflict(getExpectedVersion(req), game);
+  if (conflict) {
+    return res.status(409).json(conflict);
   }
+  next();
+}
 
-  const gameState = game.undo();
-  if (!gameState) {
-    return res.status(400).json({ error: 'No actions to undo' });
+// 409 for a change the event's lifecycle status does not allow
+function invalidState(error) {
+  return commandResult({ error, code: 'invalid_state' }, 409);
+}
+
+// Error result when the event a game belongs to is not in play, or null:
+// plain tournaments are scored only while active, and archived
+// round-robins take no changes at all
+function getPlayDenial(tournamentId) {
+  const tournament = tournaments.get(tournamentId);
+  if (tournament && !tournament.canScore()) {
+    return invalidState(`Tournament is ${tournament.status}`);
   }
-  
-  // Notify all viewers
-  io.to(`tournament-${game.tournamentId}`).emit('scoreUpdate', gameState);
-  io.to(`game-${game.id}`).emit('scoreUpdate', gameState);
-  
-  res.json(gameState);
-});
+  const roundRobin = roundRobinTournaments.get(tournamentId);
+  if (roundRobin && roundRobin.status === 'archived') {
+    return invalidState('Tournament is archived');
+  }
+  return null;
+}
 
-// Manual serve switch
-app.post('/api/games/:id/switch-serve', (req, res) => {
+function requireGameInPlay(req, res, next) {
   const game = games.get(req.params.id);
-  
-  if (!game) {
-    return res.status(404).json({ error: 'Game not found' });
+  const denied = game && getPlayDenial(game.tournamentId);
+  if (denied) {
+    return res.status(denied.status).json(denied.body);
   }
+  next();
+}
 
-  // Save current state to history
-  const previousState = JSON.parse(JSON.stringify({
-    team1: game.team1,
-    team2: game.team2,
-    servingTeam: game.servingTeam,
-    serverNumber: game.serverNumber
-  }));
-  
-  game.handleSideOut();
-  
-  game.history.push({
-    ...previousState,
-    timestamp: new Date(),
-    action: 'Manual serve switch'
-  });
+// Round-robin routes that change results refuse archived events
+function requireOpenRoundRobin(req, res, next) {
+  const tournament = roundRobinTournaments.get(req.params.tournamentId);
+  if (tournament && tournament.status === 'archived') {
+    const denied = invalidState('Tournament is archived');
+    return res.status(denied.status).json(denied.body);
+  }
+  next();
+}
+
+function findRuleSet(id) {
+  return PRESET_RULE_SETS.find(ruleSet => ruleSet.id === id) || ruleSets.get(id);
+}
+
+// Game settings name a rule set with `ruleSetId`, or give inline `rules`;
+// loose playTo/scoringSystem fields from older clients still work. The rules
+// are copied into the settings so every game keeps what it was played under.
+// Returns { settings } or validation { issues }.
+function resolveGameSettings(settings = {}) {
+  let rules;
+  if (settings.ruleSetId) {
+    const ruleSet = findRuleSet(settings.ruleSetId);
+    if (!ruleSet) {
+      return { issues: [issueAt('settings.ruleSetId', 'not_found', 'is not a known rule set')] };
+    }
+    rules = ruleSet.getRules();
+  } else if (settings.rules) {
+    rules = pickRules(settings.rules);
+  } else {
+    rules = rulesFromSettings(settings);
+  }
+
+  const errors = validateRules(rules);
+  if (errors.length > 0) {
+    return { issues: errors.map(error => issueAt('settings.rules', 'invalid_value', `are invalid: ${error}`)) };
+  }
+  return { settings: { ...settings, rules } };
+}
+
+// Registry ids on a new game or match that name nobody
+function findUnknownRegistryIds(body) {
+  return ['team1RegistryId', 'team2RegistryId']
+    .filter(key => body[key] && !registry.has(body[key]))
+    .map(key => issueAt(key, 'not_found', 'is not a registered player or team'));
+}
+
+// Default for round-robin and bracket matches started without settings
+const DEFAULT_MATCH_SETTINGS = {
+  ruleSetId: 'standard',
+  gameFormat: 'singles',
+  servingTeam: 1,
+  serverNumber: 1
+};
+
+// Team entries for a new event: plain names, or { registryId } pointing at a
+// registered player or team, whose registry name is used unless one is given.
+// Returns { entries } or validation { issues }.
+function resolveTeamEntries(teams) {
+  const issues = [];
+  teams.forEach((entry, index) => {
+    if (typeof entry !== 'string' && !registry.has(entry.registryId)) {
+      issues.push(issueAt(`teams[${index}].registryId`, 'not_found', 'is not a registered player or team'));
+    }
+  });
+  if (issues.length > 0) return { issues };
+
+  const entries = teams.map(entry => typeof entry === 'string'
+    ? entry
+    : { name: entry.name || registry.getName(entry.registryId), registryId: entry.registryId });
+
+  // Registry names can clash with names typed in for other teams
+  entries.forEach((entry, index) => {
+    if (entries.slice(0, index).some(other => isSameTeamName(getEntryName(other), getEntryName(entry)))) {
+      issues.push(issueAt(`teams[${index}]`, 'duplicate', 'is a duplicate'));
+    }
+  });
+  return issues.length > 0 ? { issues } : { entries };
+}
+
+function getEntryName(entry) {
+  return typeof entry === 'string' ? entry : entry.name;
+}
+
+// Team names are compared ignoring case and surrounding spaces
+function isSameTeamName(a, b) {
+  return String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+}
+
+// Game settings for registered teams: the ids for rating, plus the player
+// names of registered doubles pairs
+function getRegistrySettings(team1, team2) {
+  const settings = {};
+  [team1, team2].forEach((team, index) => {
+    if (!team.registryId) return;
+    const key = `team${index + 1}`;
+    settings[`${key}RegistryId`] = team.registryId;
+    const teamPlayers = registry.getPlayers(team.registryId);
+    if (teamPlayers.length > 1) {
+      settings[`${key}Players`] = teamPlayers.map(p => p.name);
+    }
+  });
+  return settings;
+}
+
+// Update ratings for a finished result when both sides are registered
+function rateResult(sourceId, tournamentId, team1, team2, team1Score, team2Score) {
+  if (!team1.registryId || !team2.registryId) return;
+  registry.recordResult({
+    team1RegistryId: team1.registryId,
+    team2RegistryId: team2.registryId,
+    team1Score,
+    team2Score,
+    sourceId,
+    tournamentId
+  });
+}
+
+// Start play for a round-robin or bracket match: a single game, or the first
+// game of a multi-game match when bestOf is greater than 1
+function startScheduledMatch(tournamentId, scheduledMatch, settings, bestOf, court = scheduledMatch.court) {
+  settings = { ...getRegistrySettings(scheduledMatch.team1, scheduledMatch.team2), ...settings };
+  let game;
+  if (bestOf > 1) {
+    const match = new Match(tournamentId, scheduledMatch.team1.name, scheduledMatch.team2.name, {
+      bestOf,
+      settings: { ...settings, court }
+    });
+    game = new Game(tournamentId, match.team1.name, match.team2.name, match.getNextGameSettings());
+    match.addGame(game.id);
+    matches.set(match.id, match);
+    scheduledMatch.linkedMatchId = match.id;
+  } else {
+    game = new Game(tournamentId, scheduledMatch.team1.name, scheduledMatch.team2.name, {
+      ...settings,
+      court
+    });
+  }
+
+  games.set(game.id, game);
+  scheduledMatch.gameId = game.id;
+  scheduledMatch.status = 'in-progress';
+  return game;
+}
+
+// Final result of a round-robin or bracket match: games won for a
+// multi-game match, points for a single game. Null while still in play.
+function getScheduledMatchResult(scheduledMatch) {
+  if (scheduledMatch.linkedMatchId) {
+    const match = matches.get(scheduledMatch.linkedMatchId);
+    if (!match || match.status !== 'completed') return null;
+    return {
+      team1Score: match.team1.gamesWon,
+      team2Score: match.team2.gamesWon,
+      games: match.results
+    };
+  }
+
+  const game = games.get(scheduledMatch.gameId);
+  if (!game || game.status !== 'completed') return null;
+  return {
+    team1Score: game.team1.score,
+    team2Score: game.team2.score,
+    games: null
+  };
+}
+
+// Save a round-robin after a result, move its pool-play event along and
+// push the new standings to viewers
+function publishRoundRobinResult(tournament) {
+  roundRobinTournaments.save(tournament);
+
+  if (tournament.poolEventId) {
+    advancePoolEventForPool(tournament);
+  }
+
+  const standings = tournament.getStandings();
+  io.to(`round-robin-${tournament.id}`).emit('standingsUpdated', standings);
+  notifyWebhooks(tournament.id, 'standingsUpdated', standings);
+  return standings;
+}
+
+// Stop live scoring for a match a team retired from and return the score
+// it stood at, with the target the winner is credited up to. Matches that
+// were not scored live use the score entered with the result.
+function endMatchForRetirement(scheduledMatch, retiredTeam, entered) {
+  const linkedMatch = scheduledMatch.linkedMatchId && matches.get(scheduledMatch.linkedMatchId);
+  const game = games.get(linkedMatch ? linkedMatch.currentGameId : scheduledMatch.gameId);
+
+  if (game && game.status !== 'completed') {
+    game.retire(retiredTeam);
+    games.save(game);
+    const gameState = broadcastGameState(game);
+    notifyWebhooks(game.tournamentId, 'gameCompleted', gameState);
+  }
+
+  if (linkedMatch) {
+    linkedMatch.retire(retiredTeam);
+    matches.save(linkedMatch);
+    return {
+      team1Score: linkedMatch.team1.gamesWon,
+      team2Score: linkedMatch.team2.gamesWon,
+      target: linkedMatch.gamesToWin,
+      winBy: 1
+    };
+  }
+  if (game) {
+    return {
+      team1Score: game.team1.score,
+      team2Score: game.team2.score,
+      target: game.rules.target,
+      winBy: game.rules.winBy
+    };
+  }
+  return {
+    team1Score: Number.isInteger(entered.team1Score) ? entered.team1Score : 0,
+    team2Score: Number.isInteger(entered.team2Score) ? entered.team2Score : 0
+  };
+}
+
+// Games played for a round-robin or bracket match, in order
+function getScheduledMatchGames(scheduledMatch) {
+  const match = scheduledMatch.linkedMatchId && matches.get(scheduledMatch.linkedMatchId);
+  const gameIds = match ? match.gameIds : [scheduledMatch.gameId];
+  return gameIds.map(id => games.get(id)).filter(Boolean);
+}
+
+// Games of an event plus the multi-game matches they belong to, for export
+function getLinkedRecords(eventGames) {
+  const matchIds = new Set(eventGames.map(game => game.matchId).filter(Boolean));
+  return {
+    games: eventGames,
+    matches: Array.from(matchIds).map(id => matches.get(id)).filter(Boolean)
+  };
+}
+
+// Store an imported event with its games and matches under fresh ids and
+// hand out a new organizer token for it
+function importEvent(data, kind, repository, EntityType) {
+  const imported = readExport(data, kind);
+  if (imported.error) return imported;
+
+  // Rebuild everything before storing anything, so a bad record leaves no
+  // games or matches behind
+  let tournament, importedGames, importedMatches;
+  try {
+    tournament = EntityType.fromRecord(imported.tournament);
+    importedGames = imported.games.map(record => Game.fromRecord(record));
+    importedMatches = imported.matches.map(record => Match.fromRecord(record));
+  } catch (error) {
+    return { error: `Export could not be read: ${error.message}` };
+  }
+  tournament.poolEventId = null;
+  tournament.registrationId = null;
+  tournament.divisionEventId = null;
+
+  importedGames.forEach(game => games.set(game.id, game));
+  importedMatches.forEach(match => matches.set(match.id, match));
+  repository.set(tournament.id, tournament);
+
+  const { token: organizerToken } = access.issue(tournament.id, 'organizer');
+  return { tournament, organizerToken };
+}
+
+// File name for a download, e.g. "spring-league.csv"
+function getExportFileName(name, extension) {
+  const slug = String(name || 'tournament').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `${slug || 'tournament'}.${extension}`;
+}
+
+// Record a finished game on its match and set up the next game if the
+// match is still undecided
+function advanceMatchForGame(game) {
+  const match = matches.get(game.matchId);
+  if (!match) return null;
+
+  const decided = match.recordGame(game.getGameState());
+  if (!decided) {
+    const nextGame = new Game(game.tournamentId, match.team1.name, match.team2.name, match.getNextGameSettings());
+    games.set(nextGame.id, nextGame);
+    match.addGame(nextGame.id);
+
+    const tournament = tournaments.get(game.tournamentId);
+    if (tournament) {
+      tournament.games.push(nextGame.id);
+      tournaments.save(tournament);
+    }
+    io.to(`tournament-${game.tournamentId}`).emit('gameCreated', nextGame.getGameState());
+    notifyWebhooks(game.tournamentId, 'gameCreated', nextGame.getGameState());
+  }
+  matches.save(match);
+
+  const matchState = match.getMatchState();
+  io.to(`tournament-${game.tournamentId}`).emit('matchUpdated', matchState);
+  io.to(`game-${game.id}`).emit('matchUpdated', matchState);
+  return match;
+}
+
+// Feed a newly completed game into its match and bracket
+function handleGameCompleted(game) {
+  notifyWebhooks(game.tournamentId, 'gameCompleted', game.getGameState());
+  const match = game.matchId ? advanceMatchForGame(game) : null;
+  advanceBracketForGame(game);
+
+  // Round-robin and bracket results are rated once the scheduled match is recorded
+  if (tournaments.has(game.tournamentId)) {
+    if (!match) {
+      rateResult(game.id, game.tournamentId, game.team1, game.team2, game.team1.score, game.team2.score);
+    } else if (match.status === 'completed') {
+      rateResult(match.id, game.tournamentId, match.team1, match.team2, match.team1.gamesWon, match.team2.gamesWon);
+    }
+  }
+}
+
+// Push bracket advancement when a game linked to a bracket match finishes
+function advanceBracketForGame(game) {
+  const tournament = bracketTournaments.get(game.tournamentId);
+  if (!tournament) return;
+
+  const match = tournament.matches.find(m =>
+    m.gameId === game.id || (game.matchId && m.linkedMatchId === game.matchId)
+  );
+  if (!match || match.status !== 'in-progress') return;
+
+  const result = getScheduledMatchResult(match);
+  if (!result) return;
+
+  tournament.recordResult(match.id, result.team1Score, result.team2Score);
+  bracketTournaments.save(tournament);
+  rateResult(match.id, tournament.id, match.team1, match.team2, result.team1Score, result.team2Score);
+  io.to(`bracket-${tournament.id}`).emit('bracketUpdated', tournament.getBracket());
+}
+
+function getEventPools(event) {
+  return event.pools.map(pool => roundRobinTournaments.get(pool.id)).filter(Boolean);
+}
+
+function getPoolEventOverview(event) {
+  return event.getOverview(getEventPools(event), bracketTournaments.get(event.playoffId));
+}
+
+// Generate the playoff once the last pool of a pool-play event finishes
+function advancePoolEventForPool(pool) {
+  const event = poolEvents.get(pool.poolEventId);
+  if (!event) return;
+
+  const playoff = event.createPlayoff(getEventPools(event));
+  if (!playoff) return;
+
+  bracketTournaments.set(playoff.id, playoff);
+  poolEvents.save(event);
+  io.to(`pool-event-${event.id}`).emit('playoffsGenerated', getPoolEventOverview(event));
+  if (event.divisionEventId) {
+    joinEventRooms(event.divisionEventId);
+  }
+}
+
+// Division a round-robin, pool or bracket belongs to, with its event; null
+// outside multi-division events
+function findDivision(tournamentId) {
+  const owner = roundRobinTournaments.get(tournamentId) || bracketTournaments.get(tournamentId);
+  const holder = owner && owner.poolEventId ? poolEvents.get(owner.poolEventId) : owner;
+  const event = holder && holder.divisionEventId && divisionEvents.get(holder.divisionEventId);
+  return event ? { event, division: event.getDivisionByTournament(holder.id) } : null;
+}
+
+// Game settings a division starts its matches with, if it set any
+function getDivisionSettings(tournamentId) {
+  const found = findDivision(tournamentId);
+  return found ? found.division.settings : null;
+}
+
+// Round-robins and brackets that hold a division's matches
+function getDivisionTournaments(division) {
+  if (division.format === 'round-robin') {
+    return [roundRobinTournaments.get(division.tournamentId)].filter(Boolean);
+  }
+  if (division.format === 'bracket') {
+    return [bracketTournaments.get(division.tournamentId)].filter(Boolean);
+  }
+  const event = poolEvents.get(division.tournamentId);
+  return event
+    ? [...getEventPools(event), bracketTournaments.get(event.playoffId)].filter(Boolean)
+    : [];
+}
+
+function getDivisionGames(division) {
+  return getDivisionTournaments(division)
+    .flatMap(tournament => tournament.matches.filter(m => m.gameId))
+    .flatMap(getScheduledMatchGames);
+}
+
+// Venue court for a match starting in a division: the one asked for, else
+// the court its round-robin slot maps to, else the first free court of the
+// division. Divisions share the venue, so a court with a game in play
+// anywhere in the event is refused. Outside divisions the scheduled court
+// is kept as it is.
+function assignCourt(tournamentId, scheduledMatch, requestedCourt) {
+  const found = findDivision(tournamentId);
+  if (!found) return { court: scheduledMatch.court };
+
+  const { event, division } = found;
+  const inUse = new Set(event.divisions
+    .flatMap(getDivisionGames)
+    .filter(game => game.status !== 'completed' && game.court)
+    .map(game => String(game.court)));
+
+  if (requestedCourt !== undefined && requestedCourt !== null) {
+    return inUse.has(String(requestedCourt))
+      ? { error: `Court ${requestedCourt} is in use` }
+      : { court: requestedCourt };
+  }
+
+  const courts = event.getDivisionCourts(division);
+  const slotted = division.format === 'round-robin' && courts[scheduledMatch.court - 1];
+  if (slotted && !inUse.has(String(slotted))) return { court: slotted };
+
+  const free = courts.find(court => !inUse.has(String(court)));
+  return free ? { court: free } : { error: 'All courts of the division are in use' };
+}
+
+// Socket rooms a division's updates go to
+function getDivisionRooms(division) {
+  const rooms = getDivisionTournaments(division).flatMap(tournament => [
+    `tournament-${tournament.id}`,
+    roundRobinTournaments.has(tournament.id) ? `round-robin-${tournament.id}` : `bracket-${tournament.id}`
+  ]);
+  return division.format === 'pools' ? [`pool-event-${division.tournamentId}`, ...rooms] : rooms;
+}
+
+// Spectators in an event's room follow every division; called again when
+// a division gains a tournament (a new division, a pool-play playoff)
+function joinEventRooms(eventId) {
+  const event = divisionEvents.get(eventId);
+  if (!event) return;
+  io.in(`event-${eventId}`).socketsJoin(event.divisions.flatMap(getDivisionRooms));
+}
+
+// Find the completed bracket match that an undo on this game would reopen
+function findBracketMatchForGame(game) {
+  const tournament = bracketTournaments.get(game.tournamentId);
+  if (!tournament) return {};
+
+  const match = tournament.matches.find(m =>
+    m.status === 'completed' &&
+    (m.gameId === game.id || (game.matchId && m.linkedMatchId === game.matchId))
+  );
+  return { tournament, match };
+}
+
+// Reason an undo may not reopen this completed game, or null if it can
+function getReopenBlocker(game) {
+  if (game.retiredTeam) {
+    return 'Game ended by a retirement';
+  }
+
+  const match = matches.get(game.matchId);
+  if (match && match.currentGameId !== game.id) {
+    const nextGame = games.get(match.currentGameId);
+    if (nextGame && nextGame.rallyCount > 0) {
+      return 'The next game of this match has already started';
+    }
+  }
+
+  const { tournament, match: bracketMatch } = findBracketMatchForGame(game);
+  if (bracketMatch && !tournament.canReopen(bracketMatch.id)) {
+    return 'Bracket has already advanced past this game';
+  }
+
+  return null;
+}
+
+// Take back what a completed game fed into its match and bracket
+function reopenLinkedResults(game) {
+  registry.revertResult(game.id);
+  if (game.matchId) {
+    registry.revertResult(game.matchId);
+  }
+
+  const { tournament: bracket, match: bracketMatch } = findBracketMatchForGame(game);
+  if (bracketMatch) {
+    registry.revertResult(bracketMatch.id);
+    bracket.reopenMatch(bracketMatch.id);
+    bracketTournaments.save(bracket);
+    io.to(`bracket-${bracket.id}`).emit('bracketUpdated', bracket.getBracket());
+  }
+
+  const match = matches.get(game.matchId);
+  if (match) {
+    // Drop the unplayed game that was queued up after this one
+    if (match.currentGameId !== game.id) {
+      const nextGameId = match.currentGameId;
+      match.removeGame(nextGameId);
+      games.delete(nextGameId);
+
+      const tournament = tournaments.get(game.tournamentId);
+      if (tournament) {
+        tournament.games = tournament.games.filter(id => id !== nextGameId);
+        tournaments.save(tournament);
+      }
+    }
+
+    match.reopenGame(game.id);
+    matches.save(match);
+
+    const matchState = match.getMatchState();
+    io.to(`tournament-${game.tournamentId}`).emit('matchUpdated', matchState);
+    io.to(`game-${game.id}`).emit('matchUpdated', matchState);
+  }
+}
+
+// Result of moving a tournament to a new status. A tournament is only
+// completed once none of its games is still being played.
+function changeTournamentStatus(tournamentId, status) {
+  const tournament = tournaments.get(tournamentId);
+  if (!tournament) {
+    return commandError(404, 'Tournament not found');
+  }
+  if (!tournament.canMoveTo(status)) {
+    return invalidState(`Tournament cannot move from ${tournament.status} to ${status}`);
+  }
+  if (status === 'completed' && tournament.status === 'active') {
+    const playing = tournament.games.map(id => games.get(id)).filter(game => game && game.status !== 'completed');
+    if (playing.length > 0) {
+      return invalidState(`${playing.length} game(s) are still in progress`);
+    }
+  }
+
+  tournament.setStatus(status);
+  tournaments.save(tournament);
+  io.to(`tournament-${tournament.id}`).emit('tournamentStatusChanged', {
+    id: tournament.id,
+    status: tournament.status,
+    statusChangedAt: tournament.statusChangedAt
+  });
+  return commandResult(tournament.toRecord());
+}
+
+// Drop what belonged to a deleted event: its games and multi-game matches,
+// access tokens, and webhook subscriptions with their delivery logs
+function removeEventRecords(tournamentId, eventGames) {
+  const linked = getLinkedRecords(eventGames);
+  linked.games.forEach(game => games.delete(game.id));
+  linked.matches.forEach(match => matches.delete(match.id));
+  access.removeAll(tournamentId);
+  Array.from(webhookSubscriptions.values())
+    .filter(subscription => subscription.tournamentId === tournamentId)
+    .forEach(subscription => webhooks.removeSubscription(subscription.id));
+}
+
+const DEFAULT_PAGE_SIZE = 50;
+
+// Answer a listing request: `status` filters (archived events are left out
+// unless asked for), `q` searches names, and `page` (from 1) and `limit`
+// pick a slice of the newest-first results. The number of matches before
+// paging goes in the X-Total-Count header.
+function listEvents(req, res, repository, schema, summarize) {
+  // Query values arrive as strings; whole numbers are read as such
+  const readNumber = value => typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value;
+  const query = {
+    status: req.query.status,
+    q: req.query.q,
+    page: readNumber(req.query.page),
+    limit: readNumber(req.query.limit)
+  };
+  const issues = validate(schema, query);
+  if (issues.length > 0) {
+    return res.status(400).json(validationError(issues));
+  }
+
+  const { status, page = 1, limit = DEFAULT_PAGE_SIZE } = query;
+  const search = (query.q || '').trim().toLowerCase();
+  const found = Array.from(repository.values())
+    .filter(event => status === 'all' || (status ? event.status === status : event.status !== 'archived'))
+    .filter(event => !search || event.name.toLowerCase().includes(search))
+    .sort((a, b) => b.createdAt - a.createdAt);
+
+  res.set('X-Total-Count', String(found.length));
+  res.json(found.slice((page - 1) * limit, page * limit).map(summarize));
+}
+
+// REST API Endpoints
+
+// Create a new tournament
+app.post('/api/tournaments', validateBody(schemas.createTournament), (req, res) => {
+  const { name, organizerId, draft } = req.body;
+  const tournament = new Tournament(name, organizerId || uuidv4(), { draft });
+  tournaments.set(tournament.id, tournament);
+  const { token: organizerToken } = access.issue(tournament.id, 'organizer');
+  res.json({ ...tournament, organizerToken });
+});
+
+// List tournaments, newest first; archived ones only when asked for
+app.get('/api/tournaments', (req, res) => {
+  listEvents(req, res, tournaments, schemas.listTournaments, t => ({
+    id: t.id,
+    name: t.name,
+    status: t.status,
+    createdAt: t.createdAt,
+    gameCount: t.games.length,
+    viewerCount: t.viewers.size
+  }));
+});
+
+// Get tournament details
+app.get('/api/tournaments/:id', (req, res) => {
+  const tournament = tournaments.get(req.params.id);
+  if (!tournament) {
+    return res.status(404).json({ error: 'Tournament not found' });
+  }
   
-  const gameState = game.getGameState();
+  const tournamentData = {
+    ...tournament,
+    viewers: Array.from(tournament.viewers),
+    games: tournament.games.map(gameId => games.get(gameId)?.getGameState())
+  };
+  res.json(tournamentData);
+});
+
+// Move a tournament along its lifecycle: draft -> active -> completed ->
+// archived. Completed tournaments can be reopened and archived ones restored.
+app.post('/api/tournaments/:tournamentId/status', requireOrganizer, validateBody(schemas.tournamentStatus), (req, res) => {
+  const result = changeTournamentStatus(req.params.tournamentId, req.body.status);
+  res.status(result.status).json(result.body);
+});
+
+// Shortcut for status 'archived': hide a completed tournament from listings
+app.post('/api/tournaments/:tournamentId/archive', requireOrganizer, (req, res) => {
+  const result = changeTournamentStatus(req.params.tournamentId, 'archived');
+  res.status(result.status).json(result.body);
+});
+
+// Restore an archived tournament as completed
+app.post('/api/tournaments/:tournamentId/unarchive', requireOrganizer, (req, res) => {
+  const result = changeTournamentStatus(req.params.tournamentId, 'completed');
+  res.status(result.status).json(result.body);
+});
+
+// Delete a tournament that is not being played, with everything it owns
+app.delete('/api/tournaments/:tournamentId', requireOrganizer, (req, res) => {
+  const tournament = tournaments.get(req.params.tournamentId);
+  if (!tournament) {
+    return res.status(404).json({ error: 'Tournament not found' });
+  }
+  if (tournament.status === 'active') {
+    return res.status(409).json({ error: 'Complete the tournament before deleting it', code: 'invalid_state' });
+  }
+
+  removeEventRecords(tournament.id, tournament.games.map(id => games.get(id)).filter(Boolean));
+  tournaments.delete(tournament.id);
+  io.to(`tournament-${tournament.id}`).emit('tournamentDeleted', { id: tournament.id });
+
+  res.json({ id: tournament.id, deleted: true });
+});
+
+// Create a new game in a tournament
+app.post('/api/tournaments/:tournamentId/games', requireOrganizer, validateBody(schemas.createGame), (req, res) => {
+  const { tournamentId } = req.params;
+  const { team1Name, team2Name, team1RegistryId, team2RegistryId, settings } = req.body;
+  
+  const tournament = tournaments.get(tournamentId);
+  if (!tournament) {
+    return res.status(404).json({ error: 'Tournament not found' });
+  }
+  if (!tournament.canAddGames()) {
+    return res.status(409).json({ error: `Tournament is ${tournament.status}`, code: 'invalid_state' });
+  }
+
+  const unknown = findUnknownRegistryIds(req.body);
+  if (unknown.length > 0) {
+    return res.status(400).json(validationError(unknown));
+  }
+
+  const team1 = { name: team1Name, registryId: team1RegistryId };
+  const team2 = { name: team2Name, registryId: team2RegistryId };
+
+  const resolved = resolveGameSettings(settings);
+  if (resolved.issues) {
+    return res.status(400).json(validationError(resolved.issues));
+  }
+
+  const game = new Game(
+    tournamentId,
+    team1Name || registry.getName(team1RegistryId),
+    team2Name || registry.getName(team2RegistryId),
+    { ...getRegistrySettings(team1, team2), ...resolved.settings }
+  );
+  games.set(game.id, game);
+  tournament.games.push(game.id);
+  tournaments.save(tournament);
   
   // Notify all viewers
-  io.to(`tournament-${game.tournamentId}`).emit('scoreUpdate', gameState);
-  io.to(`game-${game.id}`).emit('scoreUpdate', gameState);
+  io.to(`tournament-${tournamentId}`).emit('gameCreated', game.getGameState());
+  notifyWebhooks(tournamentId, 'gameCreated', game.getGameState());
   
-  res.json(gameState);
+  res.json(game.getGameState());
+});
+
+// Get game state
+app.get('/api/games/:id', (req, res) => {
+  const game = games.get(req.params.id);
+  if (!game) {
+    return res.status(404).json({ error: 'Game not found' });
+  }
+  res.set('ETag', `"${game.version}"`);
+  res.json(game.getGameState());
+});
+
+// Apply one scoring event from a client: a rally ('score') or an undo.
+// Returns { status: 'applied' | 'duplicate' | 'rejected', error }.
+function applyClientEvent(game, event) {
+  if (game.isDuplicateEvent(event)) {
+    return { status: 'duplicate' };
+  }
+
+  const error = event.type === 'undo' ? undoForClient(game) : scoreForClient(game, event.winningTeam);
+  game.markEventHandled(event);
+  return error ? { status: 'rejected', error } : { status: 'applied' };
+}
+
+function scoreForClient(game, winningTeam) {
+  if (game.status === 'completed') {
+    return 'Game is already completed';
+  }
+  if (![1, 2].includes(winningTeam)) {
+    return 'winningTeam must be 1 or 2';
+  }
+
+  game.updateScore(winningTeam);
+  if (game.status === 'completed') {
+    handleGameCompleted(game);
+  }
+  return null;
+}
+
+function undoForClient(game) {
+  const reopening = game.status === 'completed';
+  if (reopening) {
+    const blocker = getReopenBlocker(game);
+    if (blocker) return blocker;
+  }
+
+  if (!game.undo()) {
+    return 'No actions to undo';
+  }
+  if (reopening) {
+    reopenLinkedResults(game);
+  }
+  return null;
+}
+
+// Score and undo take one event, or a batch of queued offline events in
+// `events` (each with its own type, 'score' or 'undo'). Events may carry
+// `clientId` + `clientSeq` and an `idempotencyKey` (for a single event also
+// the Idempotency-Key header); repeats are acknowledged but not applied.
+// An expected version applies to the request as a whole.
+function runScoringCommand(type, { game, body, expectedVersion, idempotencyKey }) {
+  const { events, clientId } = body;
+  if (events !== undefined) {
+    // A batch the server has already applied is acknowledged again even
+    // though the game has moved on since
+    const conflict = getVersionConflict(expectedVersion, game);
+    if (conflict && events.some(event => !game.isDuplicateEvent({ clientId, ...event }))) {
+      return { status: 409, body: conflict };
+    }
+
+    // Applied in order; a rejected event does not stop the ones after it
+    const results = events.map(event => ({
+      clientSeq: event.clientSeq,
+      idempotencyKey: event.idempotencyKey,
+      ...applyClientEvent(game, { type, clientId, ...event })
+    }));
+    games.save(game);
+    const gameState = results.some(r => r.status === 'applied')
+      ? broadcastGameState(game)
+      : game.getGameState();
+
+    return commandResult({ game: gameState, results });
+  }
+
+  const event = {
+    ...body,
+    type,
+    idempotencyKey: body.idempotencyKey || idempotencyKey
+  };
+  const conflict = getVersionConflict(expectedVersion, game);
+  if (conflict && !game.isDuplicateEvent(event)) {
+    return { status: 409, body: conflict };
+  }
+
+  const result = applyClientEvent(game, event);
+  games.save(game);
+
+  if (result.status === 'rejected') {
+    return commandError(400, result.error);
+  }
+  
+  // Notify all viewers in the tournament
+  return commandResult(result.status === 'applied' ? broadcastGameState(game) : game.getGameState());
+}
+
+// Manual serve switch
+function runSwitchServeCommand({ game }) {
+  if (game.status === 'completed') {
+    return commandError(400, 'Game is already completed');
+  }
+
+  game.switchServe();
+  games.save(game);
+
+  // Notify all viewers
+  return commandResult(broadcastGameState(game));
+}
+
+// Record a finished round-robin match in the standings
+function runCompleteMatchCommand({ params, token }) {
+  const { tournamentId, matchId } = params;
+
+  const tournament = roundRobinTournaments.get(tournamentId);
+  if (!tournament) {
+    return commandError(404, 'Tournament not found');
+  }
+
+  const match = tournament.matches.find(m => m.id === matchId);
+  if (!match || !match.gameId) {
+    return commandError(404, 'Match not found or not started');
+  }
+
+  if (!games.has(match.gameId)) {
+    return commandError(404, 'Game not found');
+  }
+
+  // Already recorded: a repeat must not undo a correction made since
+  if (match.status !== 'in-progress') {
+    return commandResult(tournament.getStandings());
+  }
+
+  const result = getScheduledMatchResult(match);
+  if (!result) {
+    return commandError(400, 'Game is not completed yet');
+  }
+
+  // Update tournament with match result
+  tournament.updateMatchResult(matchId, result.team1Score, result.team2Score, result.games);
+  tournament.logChange('result-recorded', getTokenActor(token), {
+    matchId,
+    team1Score: result.team1Score,
+    team2Score: result.team2Score
+  });
+  rateResult(match.id, tournament.id, match.team1, match.team2, result.team1Score, result.team2Score);
+
+  return commandResult(publishRoundRobinResult(tournament));
+}
+
+// Scoring commands, run the same way for REST routes and socket events.
+// `findGame` names the game whose scorers may run the command, `params`
+// maps route parameters to socket payload fields, and `versioned` commands
+// are refused when the game has moved past the client's expected version.
+const commands = {
+  score: {
+    params: { id: 'gameId' },
+    schema: schemas.score,
+    findGame: params => games.get(params.id),
+    run: context => runScoringCommand('score', context)
+  },
+  undo: {
+    params: { id: 'gameId' },
+    schema: schemas.undo,
+    findGame: params => games.get(params.id),
+    run: context => runScoringCommand('undo', context)
+  },
+  switchServe: {
+    params: { id: 'gameId' },
+    schema: schemas.gameChange,
+    versioned: true,
+    findGame: params => games.get(params.id),
+    run: runSwitchServeCommand
+  },
+  completeMatch: {
+    params: { tournamentId: 'tournamentId', matchId: 'matchId' },
+    schema: schemas.completeMatch,
+    // Only started matches have a game; the command reports the rest
+    findGame: params => {
+      const tournament = roundRobinTournaments.get(params.tournamentId);
+      const match = tournament && tournament.matches.find(m => m.id === params.matchId);
+      return match && games.get(match.gameId);
+    },
+    run: runCompleteMatchCommand
+  }
+};
+
+// Result of a command: an HTTP status and the JSON body to answer with
+function commandResult(body, status = 200) {
+  return { status, body };
+}
+
+function commandError(status, error) {
+  return { status, body: { error } };
+}
+
+// Access, body and version checks in the order the REST middleware used
+// them; a missing game is left for the command itself to report.
+// Context: { params, body, token, expectedVersion, idempotencyKey }
+function runCommand(command, context) {
+  const game = command.findGame(context.params);
+  const denied = game && getScoringDenial(context.token, game);
+  if (denied) return denied;
+
+  const issues = validate(command.schema, context.body);
+  if (issues.length > 0) {
+    return commandResult(validationError(issues), 400);
+  }
+
+  const stateDenial = game && getPlayDenial(game.tournamentId);
+  if (stateDenial) return stateDenial;
+
+  const conflict = command.versioned && game && getVersionConflict(context.expectedVersion, game);
+  if (conflict) {
+    return commandResult(conflict, 409);
+  }
+
+  // Commands on a game by id cannot go further without it
+  if (command.params.id && !game) {
+    return commandError(404, 'Game not found');
+  }
+  return command.run({ ...context, game });
+}
+
+// Express handler running a command for a REST request
+function commandRoute(command) {
+  return (req, res) => {
+    const result = runCommand(command, {
+      params: req.params,
+      body: req.body || {},
+      token: getRequestToken(req),
+      expectedVersion: getExpectedVersion(req),
+      idempotencyKey: req.get('Idempotency-Key')
+    });
+    res.status(result.status).json(result.body);
+  };
+}
+
+// Update game score
+app.post('/api/games/:id/score', commandRoute(commands.score));
+
+// Undo last action
+app.post('/api/games/:id/undo', commandRoute(commands.undo));
+
+app.post('/api/games/:id/switch-serve', commandRoute(commands.switchServe));
+
+function broadcastGameState(game) {
+  const gameState = game.getGameState();
+  io.to(`tournament-${game.tournamentId}`).emit('scoreUpdate', gameState);
+  io.to(`game-${game.id}`).emit('scoreUpdate', gameState);
+  notifyWebhooks(game.tournamentId, 'scoreUpdate', gameState);
+  return gameState;
+}
+
+// Call a timeout for a team; `type` is standard or medical
+app.post('/api/games/:id/timeout', requireGameScorer, validateBody(schemas.timeout), requireGameInPlay, requireGameVersion, (req, res) => {
+  const { team, type = 'standard' } = req.body;
+  const game = games.get(req.params.id);
+
+  if (!game) {
+    return res.status(404).json({ error: 'Game not found' });
+  }
+
+  if (game.status === 'completed') {
+    return res.status(400).json({ error: 'Game is already completed' });
+  }
+
+  if (!game.callTimeout(team, type)) {
+    return res.status(400).json({ error: 'No timeouts remaining' });
+  }
+  games.save(game);
+
+  res.json(broadcastGameState(game));
+});
+
+// Pause or resume the game clock
+app.post('/api/games/:id/clock', requireGameScorer, validateBody(schemas.clock), requireGameInPlay, requireGameVersion, (req, res) => {
+  const { action } = req.body;
+  const game = games.get(req.params.id);
+
+  if (!game) {
+    return res.status(404).json({ error: 'Game not found' });
+  }
+
+  if (game.status === 'completed') {
+    return res.status(400).json({ error: 'Game is already completed' });
+  }
+
+  const gameState = action === 'pause' ? game.pauseClock() : game.resumeClock();
+  if (!gameState) {
+    return res.status(400).json({ error: `Clock is already ${action === 'pause' ? 'paused' : 'running'}` });
+  }
+  games.save(game);
+
+  res.json(broadcastGameState(game));
+});
+
+// Record that the teams have changed ends
+app.post('/api/games/:id/switch-ends', requireGameScorer, validateBody(schemas.gameChange), requireGameInPlay, requireGameVersion, (req, res) => {
+  const game = games.get(req.params.id);
+
+  if (!game) {
+    return res.status(404).json({ error: 'Game not found' });
+  }
+
+  if (game.status === 'completed') {
+    return res.status(400).json({ error: 'Game is already completed' });
+  }
+
+  if (!game.switchEnds()) {
+    return res.status(400).json({ error: 'Ends have already been switched' });
+  }
+  games.save(game);
+
+  res.json(broadcastGameState(game));
+});
+
+// Redo the most recently undone action
+app.post('/api/games/:id/redo', requireGameScorer, validateBody(schemas.gameChange), requireGameInPlay, requireGameVersion, (req, res) => {
+  const game = games.get(req.params.id);
+
+  if (!game) {
+    return res.status(404).json({ error: 'Game not found' });
+  }
+
+  if (game.status === 'completed') {
+    return res.status(400).json({ error: 'Game is already completed' });
+  }
+
+  const gameState = game.redo();
+  if (!gameState) {
+    return res.status(400).json({ error: 'No actions to redo' });
+  }
+  games.save(game);
+
+  if (game.status === 'completed') {
+    handleGameCompleted(game);
+  }
+
+  res.json(broadcastGameState(game));
+});
+
+// Rally statistics for a game
+app.get('/api/games/:id/stats', (req, res) => {
+  const game = games.get(req.params.id);
+  if (!game) {
+    return res.status(404).json({ error: 'Game not found' });
+  }
+  res.json(getGameStats(game));
+});
+
+// Get the event log; `?at=N` also returns the state rebuilt from the first N events
+app.get('/api/games/:id/events', (req, res) => {
+  const game = games.get(req.params.id);
+
+  if (!game) {
+    return res.status(404).json({ error: 'Game not found' });
+  }
+
+  const response = {
+    gameId: game.id,
+    eventCount: game.events.length,
+    events: game.events
+  };
+
+  if (req.query.at !== undefined) {
+    const at = Number(req.query.at);
+    if (!Number.isInteger(at) || at < 0 || at > game.events.length) {
+      return res.status(400).json({ error: 'Invalid event position' });
+    }
+    response.stateAt = game.replay(at).getGameState();
+  }
+
+  res.json(response);
+});
+
+// Create a multi-game match (best of 1, 3 or 5) in a tournament
+app.post('/api/tournaments/:tournamentId/matches', requireOrganizer, validateBody(schemas.createMatch), (req, res) => {
+  const { tournamentId } = req.params;
+  const { team1Name, team2Name, team1RegistryId, team2RegistryId, bestOf, settings } = req.body;
+
+  const tournament = tournaments.get(tournamentId);
+  if (!tournament) {
+    return res.status(404).json({ error: 'Tournament not found' });
+  }
+  if (!tournament.canAddGames()) {
+    return res.status(409).json({ error: `Tournament is ${tournament.status}`, code: 'invalid_state' });
+  }
+
+  const unknown = findUnknownRegistryIds(req.body);
+  if (unknown.length > 0) {
+    return res.status(400).json(validationError(unknown));
+  }
+
+  const team1 = { name: team1Name, registryId: team1RegistryId };
+  const team2 = { name: team2Name, registryId: team2RegistryId };
+
+  const resolved = resolveGameSettings(settings);
+  if (resolved.issues) {
+    return res.status(400).json(validationError(resolved.issues));
+  }
+
+  const match = new Match(
+    tournamentId,
+    team1Name || registry.getName(team1RegistryId),
+    team2Name || registry.getName(team2RegistryId),
+    { bestOf, settings: { ...getRegistrySettings(team1, team2), ...resolved.settings } }
+  );
+  const game = new Game(tournamentId, match.team1.name, match.team2.name, match.getNextGameSettings());
+  match.addGame(game.id);
+  matches.set(match.id, match);
+  games.set(game.id, game);
+  tournament.games.push(game.id);
+  tournaments.save(tournament);
+
+  io.to(`tournament-${tournamentId}`).emit('gameCreated', game.getGameState());
+  io.to(`tournament-${tournamentId}`).emit('matchUpdated', match.getMatchState());
+  notifyWebhooks(tournamentId, 'gameCreated', game.getGameState());
+
+  res.json({
+    match: match.getMatchState(),
+    game: game.getGameState()
+  });
+});
+
+// Export a tournament as versioned JSON (default) or a CSV of game results
+app.get('/api/tournaments/:id/export', (req, res) => {
+  const tournament = tournaments.get(req.params.id);
+  if (!tournament) {
+    return res.status(404).json({ error: 'Tournament not found' });
+  }
+
+  const format = req.query.format || 'json';
+  const eventGames = tournament.games.map(id => games.get(id)).filter(Boolean);
+
+  if (format === 'json') {
+    const linked = getLinkedRecords(eventGames);
+    res.attachment(getExportFileName(tournament.name, 'json'));
+    return res.json(buildExport('tournament', tournament, linked.games, linked.matches));
+  }
+  if (format === 'csv') {
+    res.attachment(getExportFileName(tournament.name, 'csv'));
+    return res.type('text/csv').send(toGamesCsv(eventGames));
+  }
+  res.status(400).json({ error: 'Unsupported export format' });
+});
+
+// Import a tournament from a JSON export
+app.post('/api/tournaments/import', validateBody(schemas.importTournament), (req, res) => {
+  const result = importEvent(req.body, 'tournament', tournaments, Tournament);
+  if (result.error) {
+    return res.status(400).json({ error: result.error });
+  }
+  res.json({ ...result.tournament.toRecord(), organizerToken: result.organizerToken });
+});
+
+// Get multi-game match state with the result of every game
+app.get('/api/matches/:id', (req, res) => {
+  const match = matches.get(req.params.id);
+  if (!match) {
+    return res.status(404).json({ error: 'Match not found' });
+  }
+  res.json(match.getMatchState());
+});
+
+// ============= ACCESS ENDPOINTS START HERE =============
+
+// Role held by the caller's token for any kind of tournament or event
+app.get('/api/access/:tournamentId/role', (req, res) => {
+  const accessToken = access.find(getRequestToken(req));
+  const inScope = accessToken && getAccessScope(req.params.tournamentId).includes(accessToken.tournamentId);
+
+  res.json({
+    role: inScope ? accessToken.role : 'viewer',
+    gameIds: inScope ? accessToken.gameIds : [],
+    court: inScope ? accessToken.court : null
+  });
+});
+
+// Issue a scorer token, optionally limited to some games or a court
+app.post('/api/access/:tournamentId/scorers', requireOrganizer, validateBody(schemas.issueScorer), (req, res) => {
+  const { label, gameIds, court } = req.body;
+  const scorer = access.issue(req.params.tournamentId, 'scorer', { label, gameIds, court });
+
+  res.json({ ...scorer.getSummary(), token: scorer.token });
+});
+
+// List scorers issued for a tournament
+app.get('/api/access/:tournamentId/scorers', requireOrganizer, (req, res) => {
+  res.json(access.listScorers(req.params.tournamentId));
+});
+
+// Revoke a scorer token
+app.delete('/api/access/:tournamentId/scorers/:scorerId', requireOrganizer, (req, res) => {
+  const scorer = access.revoke(req.params.tournamentId, req.params.scorerId);
+  if (!scorer) {
+    return res.status(404).json({ error: 'Scorer not found' });
+  }
+  res.json(scorer.getSummary());
+});
+
+// ============= ACCESS ENDPOINTS END HERE =============
+
+// ============= WEBHOOK ENDPOINTS START HERE =============
+
+// Subscription on a tournament, or null when it is not one of its webhooks
+function findWebhook(req) {
+  const subscription = webhookSubscriptions.get(req.params.webhookId);
+  return subscription && subscription.tournamentId === req.params.tournamentId ? subscription : null;
+}
+
+// Subscribe a url to a tournament's events; all events unless `events` is
+// given. The signing secret is only returned here.
+app.post('/api/webhooks/:tournamentId', requireOrganizer, validateBody(schemas.createWebhook), (req, res) => {
+  const { url, events = WEBHOOK_EVENTS, description } = req.body;
+  const subscription = new WebhookSubscription(req.params.tournamentId, url, events, { description });
+  webhookSubscriptions.set(subscription.id, subscription);
+
+  res.json({ ...subscription.getSummary(), secret: subscription.secret });
+});
+
+app.get('/api/webhooks/:tournamentId', requireOrganizer, (req, res) => {
+  const subscriptions = Array.from(webhookSubscriptions.values())
+    .filter(subscription => subscription.tournamentId === req.params.tournamentId);
+  res.json(subscriptions.map(subscription => subscription.getSummary()));
+});
+
+// Change the url or events, or pause and resume with `active`
+app.patch('/api/webhooks/:tournamentId/:webhookId', requireOrganizer, validateBody(schemas.updateWebhook), (req, res) => {
+  const subscription = findWebhook(req);
+  if (!subscription) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+
+  const { url = subscription.url, events = subscription.events, active } = req.body;
+  subscription.url = url;
+  subscription.events = events;
+  if (active !== undefined) subscription.active = active;
+  webhookSubscriptions.save(subscription);
+
+  res.json(subscription.getSummary());
+});
+
+// Remove a subscription along with its delivery log
+app.delete('/api/webhooks/:tournamentId/:webhookId', requireOrganizer, (req, res) => {
+  const subscription = findWebhook(req);
+  if (!subscription) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+
+  webhooks.removeSubscription(subscription.id);
+  res.json(subscription.getSummary());
+});
+
+// Send a `ping` event to check that the receiver is reachable and verifies signatures
+app.post('/api/webhooks/:tournamentId/:webhookId/ping', requireOrganizer, (req, res) => {
+  const subscription = findWebhook(req);
+  if (!subscription) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+
+  const delivery = webhooks.deliver(subscription, 'ping', { webhookId: subscription.id });
+  res.json(delivery);
+});
+
+// Delivery log, newest first
+app.get('/api/webhooks/:tournamentId/:webhookId/deliveries', requireOrganizer, (req, res) => {
+  const subscription = findWebhook(req);
+  if (!subscription) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+
+  res.json(webhooks.getDeliveries(subscription.id));
+});
+
+// Send a logged delivery again with the same payload and id
+app.post('/api/webhooks/:tournamentId/:webhookId/deliveries/:deliveryId/redeliver', requireOrganizer, (req, res) => {
+  const subscription = findWebhook(req);
+  const delivery = subscription && webhookDeliveries.get(req.params.deliveryId);
+  if (!delivery || delivery.subscriptionId !== subscription.id) {
+    return res.status(404).json({ error: 'Delivery not found' });
+  }
+
+  res.json(webhooks.redeliver(delivery.id));
+});
+
+// ============= WEBHOOK ENDPOINTS END HERE =============
+
+// ============= RULE SET ENDPOINTS START HERE =============
+
+// Built-in presets followed by saved custom rule sets
+app.get('/api/rule-sets', (req, res) => {
+  res.json([...PRESET_RULE_SETS, ...ruleSets.values()]);
+});
+
+app.get('/api/rule-sets/:id', (req, res) => {
+  const ruleSet = findRuleSet(req.params.id);
+  if (!ruleSet) {
+    return res.status(404).json({ error: 'Rule set not found' });
+  }
+  res.json(ruleSet);
+});
+
+// Save a named rule set; unspecified rules take the standard values
+app.post('/api/rule-sets', validateBody(schemas.createRuleSet), (req, res) => {
+  const { name, ...options } = req.body;
+
+  const ruleSet = new RuleSet(name, pickRules(options));
+  const errors = validateRules(ruleSet.getRules());
+  if (errors.length > 0) {
+    return res.status(400).json(validationError(errors.map(error => issueAt('rules', 'invalid_value', `are invalid: ${error}`))));
+  }
+
+  ruleSets.set(ruleSet.id, ruleSet);
+  res.json(ruleSet);
+});
+
+// ============= RULE SET ENDPOINTS END HERE =============
+
+// ============= PLAYER REGISTRY ENDPOINTS START HERE =============
+
+// Register a player; ratings start at 1500 unless a starting rating is given
+app.post('/api/players', validateBody(schemas.createPlayer), (req, res) => {
+  const { name, rating } = req.body;
+
+  const player = new Player(name, rating);
+  registeredPlayers.set(player.id, player);
+  res.json(player.getSummary());
+});
+
+// Get all players, highest rated first
+app.get('/api/players', (req, res) => {
+  const playerList = Array.from(registeredPlayers.values())
+    .sort((a, b) => b.rating - a.rating)
+    .map(player => player.getSummary());
+  res.json(playerList);
+});
+
+app.get('/api/players/:id', (req, res) => {
+  const player = registeredPlayers.get(req.params.id);
+  if (!player) {
+    return res.status(404).json({ error: 'Player not found' });
+  }
+  res.json(player.getSummary());
+});
+
+// Rating history, oldest first
+app.get('/api/players/:id/ratings', (req, res) => {
+  const player = registeredPlayers.get(req.params.id);
+  if (!player) {
+    return res.status(404).json({ error: 'Player not found' });
+  }
+  res.json({
+    player: player.getSummary(),
+    history: player.history
+  });
+});
+
+// Register a team of existing players
+app.post('/api/teams', validateBody(schemas.createTeam), (req, res) => {
+  const { name, playerIds } = req.body;
+
+  if (playerIds.some(id => !registeredPlayers.has(id))) {
+    return res.status(400).json({ error: 'Unknown player id' });
+  }
+
+  const team = new RegisteredTeam(name, playerIds);
+  registeredTeams.set(team.id, team);
+  res.json(registry.getTeamSummary(team));
+});
+
+app.get('/api/teams', (req, res) => {
+  res.json(Array.from(registeredTeams.values()).map(team => registry.getTeamSummary(team)));
+});
+
+app.get('/api/teams/:id', (req, res) => {
+  const team = registeredTeams.get(req.params.id);
+  if (!team) {
+    return res.status(404).json({ error: 'Team not found' });
+  }
+  res.json(registry.getTeamSummary(team));
+});
+
+// ============= PLAYER REGISTRY ENDPOINTS END HERE =============
+
+// ============= ROUND-ROBIN ENDPOINTS START HERE =============
+
+// Create a round-robin tournament
+app.post('/api/round-robin/tournaments', validateBody(schemas.createRoundRobin), (req, res) => {
+  const { name, teams, organizerId, courts, matchScoring, outcomeScoring } = req.body;
+
+  const { entries, issues } = resolveTeamEntries(teams);
+  if (issues) {
+    return res.status(400).json(validationError(issues));
+  }
+  
+  const tournament = new RoundRobinTournament(name, entries, organizerId || uuidv4(), {
+    courts,
+    matchScoring,
+    outcomeScoring
+  });
+  roundRobinTournaments.set(tournament.id, tournament);
+  const { token: organizerToken } = access.issue(tournament.id, 'organizer');
+  
+  res.json({
+    id: tournament.id,
+    organizerToken,
+    name: tournament.name,
+    courts: tournament.courts,
+    teams: tournament.teams,
+    matches: tournament.matches,
+    rankings: tournament.rankings
+  });
+});
+
+// Get round-robin tournament details with standings
+app.get('/api/round-robin/tournaments/:id', (req, res) => {
+  const tournament = roundRobinTournaments.get(req.params.id);
+  
+  if (!tournament) {
+    return res.status(404).json({ error: 'Tournament not found' });
+  }
+  
+  res.json(tournament.getStandings());
+});
+
+// Export as versioned JSON (default), a CSV of results and standings, or an
+// iCalendar schedule. The calendar takes `team` to list one team's matches,
+// `start` for the first round and `roundMinutes` for the slot length.
+app.get('/api/round-robin/tournaments/:id/export', (req, res) => {
+  const tournament = roundRobinTournaments.get(req.params.id);
+  if (!tournament) {
+    return res.status(404).json({ error: 'Tournament not found' });
+  }
+
+  const format = req.query.format || 'json';
+
+  if (format === 'json') {
+    const eventGames = tournament.matches.flatMap(match => getScheduledMatchGames(match));
+    const linked = getLinkedRecords(eventGames);
+    res.attachment(getExportFileName(tournament.name, 'json'));
+    return res.json(buildExport('round-robin', tournament, linked.games, linked.matches));
+  }
+  if (format === 'csv') {
+    res.attachment(getExportFileName(tournament.name, 'csv'));
+    return res.type('text/csv').send(toResultsCsv(tournament));
+  }
+  if (format === 'ics') {
+    const { team, start, roundMinutes } = req.query;
+    const teamEntry = team && tournament.teams.find(t => t.id === team || t.name === team);
+    if (team && !teamEntry) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+    if (start && isNaN(new Date(start).getTime())) {
+      return res.status(400).json({ error: 'Invalid start time' });
+    }
+    const slotMinutes = roundMinutes === undefined ? 30 : Number(roundMinutes);
+    if (!Number.isInteger(slotMinutes) || slotMinutes < 1 || slotMinutes > 1440) {
+      return res.status(400).json({ error: 'roundMinutes must be a whole number from 1 to 1440' });
+    }
+
+    res.attachment(getExportFileName(teamEntry ? `${tournament.name} ${teamEntry.name}` : tournament.name, 'ics'));
+    return res.type('text/calendar').send(toCalendar(tournament, {
+      teamId: teamEntry ? teamEntry.id : null,
+      start,
+      roundMinutes: slotMinutes
+    }));
+  }
+  res.status(400).json({ error: 'Unsupported export format' });
+});
+
+// Import a round-robin tournament from a JSON export
+app.post('/api/round-robin/tournaments/import', validateBody(schemas.importRoundRobin), (req, res) => {
+  const result = importEvent(req.body, 'round-robin', roundRobinTournaments, RoundRobinTournament);
+  if (result.error) {
+    return res.status(400).json({ error: result.error });
+  }
+  res.json({ ...result.tournament.getStandings(), organizerToken: result.organizerToken });
+});
+
+// List round-robin tournaments, newest first; archived ones only when asked for
+app.get('/api/round-robin/tournaments', (req, res) => {
+  listEvents(req, res, roundRobinTournaments, schemas.listRoundRobins, t => ({
+    id: t.id,
+    name: t.name,
+    status: t.status,
+    teamsCount: t.teams.length,
+    completedMatches: t.matches.filter(m => m.status === 'completed').length,
+    totalMatches: t.matches.length,
+    createdAt: t.createdAt
+  }));
+});
+
+// Archive a finished round-robin; it takes no more results until restored.
+// Round-robins that are pools of a pool-play event follow that event.
+app.post('/api/round-robin/tournaments/:tournamentId/archive', requireOrganizer, (req, res) => {
+  const tournament = roundRobinTournaments.get(req.params.tournamentId);
+  if (!tournament) {
+    return res.status(404).json({ error: 'Tournament not found' });
+  }
+  if (tournament.poolEventId) {
+    return res.status(409).json({ error: 'Pools are managed by their pool-play event', code: 'invalid_state' });
+  }
+  if (!tournament.archive()) {
+    return res.status(409).json({ error: `Tournament is ${tournament.status}`, code: 'invalid_state' });
+  }
+  roundRobinTournaments.save(tournament);
+
+  const standings = tournament.getStandings();
+  io.to(`round-robin-${tournament.id}`).emit('standingsUpdated', standings);
+  res.json(standings);
+});
+
+// Restore an archived round-robin as completed
+app.post('/api/round-robin/tournaments/:tournamentId/unarchive', requireOrganizer, (req, res) => {
+  const tournament = roundRobinTournaments.get(req.params.tournamentId);
+  if (!tournament) {
+    return res.status(404).json({ error: 'Tournament not found' });
+  }
+  if (!tournament.unarchive()) {
+    return res.status(409).json({ error: 'Tournament is not archived', code: 'invalid_state' });
+  }
+  roundRobinTournaments.save(tournament);
+
+  const standings = tournament.getStandings();
+  io.to(`round-robin-${tournament.id}`).emit('standingsUpdated', standings);
+  res.json(standings);
+});
+
+// Delete a round-robin with no match on court, with everything it owns
+app.delete('/api/round-robin/tournaments/:tournamentId', requireOrganizer, (req, res) => {
+  const tournament = roundRobinTournaments.get(req.params.tournamentId);
+  if (!tournament) {
+    return res.status(404).json({ error: 'Tournament not found' });
+  }
+  if (tournament.poolEventId) {
+    return res.status(409).json({ error: 'Pools are managed by their pool-play event', code: 'invalid_state' });
+  }
+  if (tournament.divisionEventId) {
+    return res.status(409).json({ error: 'Divisions are managed by their event', code: 'invalid_state' });
+  }
+  if (tournament.matches.some(m => m.status === 'in-progress')) {
+    return res.status(409).json({ error: 'Matches are still in progress', code: 'invalid_state' });
+  }
+
+  removeEventRecords(tournament.id, tournament.matches.flatMap(match => getScheduledMatchGames(match)));
+  roundRobinTournaments.delete(tournament.id);
+  io.to(`round-robin-${tournament.id}`).emit('tournamentDeleted', { id: tournament.id });
+
+  res.json({ id: tournament.id, deleted: true });
+});
+
+// Start a match in round-robin tournament
+app.post('/api/round-robin/tournaments/:tournamentId/matches/:matchId/start', requireOrganizer, requireOpenRoundRobin, validateBody(schemas.startMatch), (req, res) => {
+  const { tournamentId, matchId } = req.params;
+  const { settings, bestOf } = req.body;
+  
+  const tournament = roundRobinTournaments.get(tournamentId);
+  if (!tournament) {
+    return res.status(404).json({ error: 'Tournament not found' });
+  }
+  
+  const match = tournament.matches.find(m => m.id === matchId);
+  if (!match) {
+    return res.status(404).json({ error: 'Match not found' });
+  }
+  
+  if (match.status !== 'pending') {
+    return res.status(400).json({ error: 'Match already started or completed' });
+  }
+  
+  const resolved = resolveGameSettings(settings || getDivisionSettings(tournamentId) || DEFAULT_MATCH_SETTINGS);
+  if (resolved.issues) {
+    return res.status(400).json(validationError(resolved.issues));
+  }
+
+  const assigned = assignCourt(tournamentId, match, resolved.settings.court);
+  if (assigned.error) {
+    return res.status(409).json({ error: assigned.error, code: 'court_in_use' });
+  }
+  
+  // Create a game (or the first game of a multi-game match)
+  const game = startScheduledMatch(tournamentId, match, resolved.settings, bestOf, assigned.court);
+  roundRobinTournaments.save(tournament);
+  
+  // Emit to WebSocket
+  const matchStarted = { tournamentId, matchId, gameId: game.id, match };
+  io.to(`round-robin-${tournamentId}`).emit('matchStarted', matchStarted);
+  notifyWebhooks(tournamentId, 'matchStarted', matchStarted);
+  
+  res.json({
+    match,
+    game: game.getGameState()
+  });
+});
+
+// Complete a match and update tournament standings
+app.post('/api/round-robin/tournaments/:tournamentId/matches/:matchId/complete', commandRoute(commands.completeMatch));
+
+// Record a walkover, a retirement or a score kept on paper. Walkovers and
+// manual scores are for matches that were never started; a retirement can
+// also end a match that is being scored live.
+app.post('/api/round-robin/tournaments/:tournamentId/matches/:matchId/result', requireOrganizer, requireOpenRoundRobin, validateBody(schemas.matchOutcome), (req, res) => {
+  const { tournamentId, matchId } = req.params;
+  const { type, winner, retiredTeam, team1Score, team2Score, games: gameScores } = req.body;
+
+  const tournament = roundRobinTournaments.get(tournamentId);
+  if (!tournament) {
+    return res.status(404).json({ error: 'Tournament not found' });
+  }
+
+  const match = tournament.matches.find(m => m.id === matchId);
+  if (!match) {
+    return res.status(404).json({ error: 'Match not found' });
+  }
+
+  if (match.status === 'completed') {
+    return res.status(400).json({ error: 'Match is already completed' });
+  }
+
+  if (type !== 'retirement' && match.status !== 'pending') {
+    return res.status(400).json({ error: 'Match has already started' });
+  }
+
+  let outcome;
+  if (type === 'walkover') {
+    outcome = { type, winner };
+  } else if (type === 'retirement') {
+    outcome = { type, winner: 3 - retiredTeam, ...endMatchForRetirement(match, retiredTeam, req.body) };
+  } else {
+    outcome = { type, team1Score, team2Score, games: gameScores || null };
+  }
+
+  tournament.recordOutcome(matchId, outcome);
+  tournament.logChange('outcome-recorded', getActor(req), {
+    matchId,
+    type,
+    team1Score: match.team1.score,
+    team2Score: match.team2.score
+  });
+  // A walkover says nothing about playing strength
+  if (type !== 'walkover') {
+    rateResult(match.id, tournament.id, match.team1, match.team2, match.team1.score, match.team2.score);
+  }
+
+  res.json(publishRoundRobinResult(tournament));
+});
+
+// Correct the score of a completed or voided result
+app.post('/api/round-robin/tournaments/:tournamentId/matches/:matchId/correct', requireOrganizer, requireOpenRoundRobin, validateBody(schemas.correctResult), (req, res) => {
+  const { tournamentId, matchId } = req.params;
+  const { team1Score, team2Score, games: gameScores, reason } = req.body;
+
+  const tournament = roundRobinTournaments.get(tournamentId);
+  if (!tournament) {
+    return res.status(404).json({ error: 'Tournament not found' });
+  }
+
+  const match = tournament.matches.find(m => m.id === matchId);
+  if (!match) {
+    return res.status(404).json({ error: 'Match not found' });
+  }
+  if (!['completed', 'void'].includes(match.status)) {
+    return res.status(400).json({ error: 'Only completed or voided results can be corrected' });
+  }
+
+  const previous = { status: match.status, team1Score: match.team1.score, team2Score: match.team2.score };
+  tournament.correctResult(matchId, team1Score, team2Score, gameScores || null);
+  tournament.logChange('result-corrected', getActor(req), {
+    matchId,
+    previous,
+    team1Score,
+    team2Score,
+    reason: reason || null
+  });
+
+  // Re-rate on the corrected score
+  registry.revertResult(match.id);
+  if (match.outcome !== 'walkover') {
+    rateResult(match.id, tournament.id, match.team1, match.team2, team1Score, team2Score);
+  }
+
+  res.json(publishRoundRobinResult(tournament));
+});
+
+// Remove a completed result from the standings
+app.post('/api/round-robin/tournaments/:tournamentId/matches/:matchId/void', requireOrganizer, requireOpenRoundRobin, validateBody(schemas.voidResult), (req, res) => {
+  const { tournamentId, matchId } = req.params;
+
+  const tournament = roundRobinTournaments.get(tournamentId);
+  if (!tournament) {
+    return res.status(404).json({ error: 'Tournament not found' });
+  }
+
+  const match = tournament.matches.find(m => m.id === matchId);
+  if (!match) {
+    return res.status(404).json({ error: 'Match not found' });
+  }
+  if (match.status !== 'completed') {
+    return res.status(400).json({ error: 'Only completed results can be voided' });
+  }
+
+  tournament.voidResult(matchId);
+  tournament.logChange('result-voided', getActor(req), {
+    matchId,
+    team1Score: match.team1.score,
+    team2Score: match.team2.score,
+    reason: req.body.reason || null
+  });
+  registry.revertResult(match.id);
+
+  res.json(publishRoundRobinResult(tournament));
+});
+
+// Late entry: the team is scheduled against every active team
+app.post('/api/round-robin/tournaments/:tournamentId/teams', requireOrganizer, requireOpenRoundRobin, validateBody(schemas.addTeam), (req, res) => {
+  const tournament = roundRobinTournaments.get(req.params.tournamentId);
+  if (!tournament) {
+    return res.status(404).json({ error: 'Tournament not found' });
+  }
+
+  const { name, registryId } = req.body;
+  if (registryId && !registry.has(registryId)) {
+    return res.status(400).json(validationError([issueAt('registryId', 'not_found', 'is not a registered player or team')]));
+  }
+
+  const entry = registryId ? { name: name || registry.getName(registryId), registryId } : name;
+  if (tournament.teams.some(t => isSameTeamName(t.name, getEntryName(entry)))) {
+    return res.status(400).json(validationError([issueAt('name', 'duplicate', 'is already taken by another team')]));
+  }
+
+  const { team, matches: added } = tournament.addTeam(entry);
+  tournament.logChange('team-added', getActor(req), {
+    teamId: team.id,
+    teamName: team.name,
+    matchIds: added.map(m => m.id)
+  });
+
+  res.json(publishRoundRobinResult(tournament));
+});
+
+// Withdraw a team. Body: unplayed 'walkover' | 'cancel' for its pending
+// matches, played 'keep' | 'void' for the results it already has.
+app.post('/api/round-robin/tournaments/:tournamentId/teams/:teamId/withdraw', requireOrganizer, requireOpenRoundRobin, validateBody(schemas.withdrawTeam), (req, res) => {
+  const { tournamentId, teamId } = req.params;
+  const { unplayed = 'walkover', played = 'keep', reason } = req.body;
+
+  const tournament = roundRobinTournaments.get(tournamentId);
+  if (!tournament) {
+    return res.status(404).json({ error: 'Tournament not found' });
+  }
+
+  const team = tournament.teams.find(t => t.id === teamId);
+  if (!team) {
+    return res.status(404).json({ error: 'Team not found' });
+  }
+  if (team.withdrawn) {
+    return res.status(400).json({ error: 'Team has already withdrawn' });
+  }
+  if (tournament.matches.some(m => m.status === 'in-progress' && (m.team1.id === teamId || m.team2.id === teamId))) {
+    return res.status(400).json({ error: 'Finish the team\'s match in progress or record a retirement first' });
+  }
+
+  const { matches: affected } = tournament.withdrawTeam(teamId, { unplayed, played });
+  affected
+    .filter(m => m.status === 'void')
+    .forEach(m => registry.revertResult(m.id));
+  tournament.logChange('team-withdrawn', getActor(req), {
+    teamId,
+    teamName: team.name,
+    unplayed,
+    played,
+    matchIds: affected.map(m => m.id),
+    reason: reason || null
+  });
+
+  res.json(publishRoundRobinResult(tournament));
+});
+
+// Every change made to the event, oldest first
+app.get('/api/round-robin/tournaments/:tournamentId/audit', requireOrganizer, (req, res) => {
+  const tournament = roundRobinTournaments.get(req.params.tournamentId);
+  if (!tournament) {
+    return res.status(404).json({ error: 'Tournament not found' });
+  }
+
+  res.json({ tournamentId: tournament.id, entries: tournament.auditLog });
+});
+
+// Get current standings/rankings
+app.get('/api/round-robin/tournaments/:id/standings', (req, res) => {
+  const tournament = roundRobinTournaments.get(req.params.id);
+  
+  if (!tournament) {
+    return res.status(404).json({ error: 'Tournament not found' });
+  }
+  
+  res.json({
+    rankings: tournament.rankings,
+    teams: tournament.teams,
+    tiedGroups: tournament.findTiedGroups()
+  });
+});
+
+// Get the schedule grouped by round, with court assignments and byes
+app.get('/api/round-robin/tournaments/:id/rounds', (req, res) => {
+  const tournament = roundRobinTournaments.get(req.params.id);
+  
+  if (!tournament) {
+    return res.status(404).json({ error: 'Tournament not found' });
+  }
+  
+  res.json({
+    courts: tournament.courts,
+    rounds: tournament.getRounds()
+  });
+});
+
+// Per-team statistics across the completed games of the tournament
+app.get('/api/round-robin/tournaments/:id/stats', (req, res) => {
+  const tournament = roundRobinTournaments.get(req.params.id);
+
+  if (!tournament) {
+    return res.status(404).json({ error: 'Tournament not found' });
+  }
+
+  res.json(getTournamentStats(tournament, getScheduledMatchGames));
+});
+
+// ============= ROUND-ROBIN ENDPOINTS END HERE =============
+
+// ============= REGISTRATION ENDPOINTS START HERE =============
+// Sign-up ahead of a round-robin. The registration id is the shareable link;
+// organizers manage it with the token returned on creation, and each team
+// gets an entry token to check in or withdraw with.
+
+// Registration and entry named in the route, or an error response sent
+function findRegistrationEntry(req, res) {
+  const registration = registrations.get(req.params.id);
+  if (!registration) {
+    res.status(404).json({ error: 'Registration not found' });
+    return {};
+  }
+  const entry = registration.getEntry(req.params.entryId);
+  if (!entry) {
+    res.status(404).json({ error: 'Entry not found' });
+    return {};
+  }
+  return { registration, entry };
+}
+
+// Organizers of the registration, or the team holding the entry token
+function requireEntrant(req, res, next) {
+  const token = getRequestToken(req);
+  if (!token) {
+    return res.status(401).json({ error: 'Access token required' });
+  }
+  const registration = registrations.get(req.params.id);
+  const entry = registration && registration.getEntry(req.params.entryId);
+  if (entry && !access.canManage(token, [registration.id]) && token !== entry.token) {
+    return res.status(403).json({ error: 'Not authorized for this entry' });
+  }
+  next();
+}
+
+// Entries can only change before the event starts, and only while entered
+function getEntryDenial(registration, entry) {
+  if (registration.status === 'started') {
+    return invalidState('The event has already started');
+  }
+  if (!['registered', 'waitlisted'].includes(entry.status)) {
+    return invalidState(`Entry is ${entry.status}`);
+  }
+  return null;
+}
+
+// Open registration for a round-robin; `capacity` caps the field and sends
+// later sign-ups to the waitlist
+app.post('/api/registrations', validateBody(schemas.createRegistration), (req, res) => {
+  const { name, organizerId, capacity, courts, matchScoring, outcomeScoring } = req.body;
+  const registration = new Registration(name, organizerId || uuidv4(), { capacity, courts, matchScoring, outcomeScoring });
+  registrations.set(registration.id, registration);
+  const { token: organizerToken } = access.issue(registration.id, 'organizer');
+
+  res.json({ ...registration.getSummary(true), organizerToken });
+});
+
+// Public view for the sign-up link
+app.get('/api/registrations/:id', (req, res) => {
+  const registration = registrations.get(req.params.id);
+  if (!registration) {
+    return res.status(404).json({ error: 'Registration not found' });
+  }
+  res.json(registration.getSummary());
+});
+
+// Full view with contact details, for the check-in desk
+app.get('/api/registrations/:id/entries', requireOrganizer, (req, res) => {
+  const registration = registrations.get(req.params.id);
+  if (!registration) {
+    return res.status(404).json({ error: 'Registration not found' });
+  }
+  res.json(registration.getSummary(true));
+});
+
+// Sign a team up; the response carries the entry token, shown only here
+app.post('/api/registrations/:id/entries', validateBody(schemas.registerTeam), (req, res) => {
+  const { name, players, contact } = req.body;
+  const registration = registrations.get(req.params.id);
+  if (!registration) {
+    return res.status(404).json({ error: 'Registration not found' });
+  }
+  if (registration.status !== 'open') {
+    return res.status(409).json({ error: 'Registration is closed', code: 'invalid_state' });
+  }
+  if (registration.findEntryByName(name)) {
+    return res.status(409).json({ error: `A team named "${name.trim()}" is already registered`, code: 'duplicate_team' });
+  }
+
+  const entry = registration.register(name, players, contact);
+  registrations.save(registration);
+
+  res.json({ ...registration.getEntrySummary(entry, true), token: entry.token });
+});
+
+app.post('/api/registrations/:id/entries/:entryId/withdraw', requireEntrant, (req, res) => {
+  const { registration, entry } = findRegistrationEntry(req, res);
+  if (!entry) return;
+
+  const denied = getEntryDenial(registration, entry);
+  if (denied) {
+    return res.status(denied.status).json(denied.body);
+  }
+
+  const promoted = registration.withdraw(entry);
+  registrations.save(registration);
+
+  res.json({
+    entry: registration.getEntrySummary(entry),
+    promoted: promoted ? registration.getEntrySummary(promoted) : null
+  });
+});
+
+// Check in on event day; DELETE takes a check-in back
+app.post('/api/registrations/:id/entries/:entryId/check-in', requireEntrant, (req, res) => {
+  const { registration, entry } = findRegistrationEntry(req, res);
+  if (!entry) return;
+
+  const denied = getEntryDenial(registration, entry);
+  if (denied) {
+    return res.status(denied.status).json(denied.body);
+  }
+
+  registration.checkIn(entry);
+  registrations.save(registration);
+  res.json(registration.getEntrySummary(entry));
 });
 
-// ============= ROUND-ROBIN ENDPOINTS START HERE =============
+app.delete('/api/registrations/:id/entries/:entryId/check-in', requireEntrant, (req, res) => {
+  const { registration, entry } = findRegistrationEntry(req, res);
+  if (!entry) return;
 
-// Create a round-robin tournament
-app.post('/api/round-robin/tournaments', (req, res) => {
-  const { name, teams, organizerId } = req.body;
-  
-  if (!teams || teams.length < 2) {
-    return res.status(400).json({ error: 'At least 2 teams are required' });
+  const denied = getEntryDenial(registration, entry);
+  if (denied) {
+    return res.status(denied.status).json(denied.body);
   }
-  
-  const tournament = new RoundRobinTournament(name, teams, organizerId || uuidv4());
-  roundRobinTournaments.set(tournament.id, tournament);
-  
+
+  registration.undoCheckIn(entry);
+  registrations.save(registration);
+  res.json(registration.getEntrySummary(entry));
+});
+
+// Stop or resume taking sign-ups; check-in carries on while closed
+function setRegistrationOpen(registrationId, open) {
+  const registration = registrations.get(registrationId);
+  if (!registration) {
+    return commandError(404, 'Registration not found');
+  }
+  if (registration.status === 'started') {
+    return invalidState('The event has already started');
+  }
+  registration.status = open ? 'open' : 'closed';
+  registrations.save(registration);
+  return commandResult(registration.getSummary(true));
+}
+
+app.post('/api/registrations/:id/close', requireOrganizer, (req, res) => {
+  const result = setRegistrationOpen(req.params.id, false);
+  res.status(result.status).json(result.body);
+});
+
+app.post('/api/registrations/:id/open', requireOrganizer, (req, res) => {
+  const result = setRegistrationOpen(req.params.id, true);
+  res.status(result.status).json(result.body);
+});
+
+// Start the round-robin with the checked-in teams. Registered teams that did
+// not check in are marked no-shows and their places go to checked-in teams
+// from the waitlist, in waitlist order.
+app.post('/api/registrations/:id/start', requireOrganizer, (req, res) => {
+  const registration = registrations.get(req.params.id);
+  if (!registration) {
+    return res.status(404).json({ error: 'Registration not found' });
+  }
+  if (registration.status === 'started') {
+    return res.status(409).json({ error: 'The event has already started', code: 'invalid_state' });
+  }
+
+  const started = registration.start();
+  if (!started) {
+    return res.status(409).json({ error: 'At least 2 teams must be checked in to start', code: 'invalid_state' });
+  }
+  roundRobinTournaments.set(started.tournament.id, started.tournament);
+  registrations.save(registration);
+
   res.json({
-    id: tournament.id,
-    name: tournament.name,
-    teams: tournament.teams,
-    matches: tournament.matches,
-    rankings: tournament.rankings
+    registration: registration.getSummary(true),
+    tournament: started.tournament.getStandings(),
+    noShows: started.noShows.map(entry => registration.getEntrySummary(entry)),
+    promoted: started.replacements.map(entry => registration.getEntrySummary(entry))
   });
 });
 
-// Get round-robin tournament details with standings
-app.get('/api/round-robin/tournaments/:id', (req, res) => {
-  const tournament = roundRobinTournaments.get(req.params.id);
-  
-  if (!tournament) {
-    return res.status(404).json({ error: 'Tournament not found' });
+// ============= REGISTRATION ENDPOINTS END HERE =============
+
+// ============= BRACKET ENDPOINTS START HERE =============
+
+// Create a single- or double-elimination bracket
+app.post('/api/bracket/tournaments', validateBody(schemas.createBracket), (req, res) => {
+  const { name, teams, organizerId, format, grandFinalReset, seeding } = req.body;
+
+  const { entries, issues } = resolveTeamEntries(teams);
+  if (issues) {
+    return res.status(400).json(validationError(issues));
   }
-  
-  res.json(tournament.getStandings());
+
+  // Rating seeding orders registered teams by their current rating
+  const tournament = new BracketTournament(
+    name,
+    seeding === 'rating' ? registry.sortByRating(entries) : entries,
+    organizerId || uuidv4(),
+    { format, grandFinalReset, seeding }
+  );
+  bracketTournaments.set(tournament.id, tournament);
+  const { token: organizerToken } = access.issue(tournament.id, 'organizer');
+
+  res.json({ ...tournament.getBracket(), organizerToken });
 });
 
-// Get all round-robin tournaments
-app.get('/api/round-robin/tournaments', (req, res) => {
-  const tournaments = Array.from(roundRobinTournaments.values()).map(t => ({
+// Get all bracket tournaments
+app.get('/api/bracket/tournaments', (req, res) => {
+  const tournaments = Array.from(bracketTournaments.values()).map(t => ({
     id: t.id,
     name: t.name,
+    format: t.format,
     status: t.status,
     teamsCount: t.teams.length,
     completedMatches: t.matches.filter(m => m.status === 'completed').length,
-    totalMatches: t.matches.length,
     createdAt: t.createdAt
   }));
-  
+
   res.json(tournaments);
 });
 
-// Start a match in round-robin tournament
-app.post('/api/round-robin/tournaments/:tournamentId/matches/:matchId/start', (req, res) => {
+// Get bracket details
+app.get('/api/bracket/tournaments/:id', (req, res) => {
+  const tournament = bracketTournaments.get(req.params.id);
+
+  if (!tournament) {
+    return res.status(404).json({ error: 'Tournament not found' });
+  }
+
+  res.json(tournament.getBracket());
+});
+
+// Start a bracket match; the bracket advances when its game completes
+app.post('/api/bracket/tournaments/:tournamentId/matches/:matchId/start', requireOrganizer, validateBody(schemas.startMatch), (req, res) => {
   const { tournamentId, matchId } = req.params;
-  const { settings } = req.body;
-  
-  const tournament = roundRobinTournaments.get(tournamentId);
+  const { settings, bestOf } = req.body;
+
+  const tournament = bracketTournaments.get(tournamentId);
   if (!tournament) {
     return res.status(404).json({ error: 'Tournament not found' });
   }
-  
+
   const match = tournament.matches.find(m => m.id === matchId);
   if (!match) {
     return res.status(404).json({ error: 'Match not found' });
   }
-  
-  if (match.status !== 'pending') {
-    return res.status(400).json({ error: 'Match already started or completed' });
+
+  if (!tournament.isReady(match)) {
+    return res.status(400).json({ error: 'Match is not ready to be played' });
   }
-  
-  // Create a game using your existing Game class
-  const game = new Game(
-    tournamentId,
-    match.team1.name,
-    match.team2.name,
-    settings || {
-      playTo: 11,
-      gameFormat: 'singles',
-      scoringSystem: 'sideout',
-      servingTeam: 1,
-      serverNumber: 1
-    }
-  );
-  
-  games.set(game.id, game);
-  match.gameId = game.id;
-  match.status = 'in-progress';
-  
-  // Emit to WebSocket
-  io.to(`round-robin-${tournamentId}`).emit('matchStarted', {
-    tournamentId,
-    matchId,
-    gameId: game.id,
-    match
-  });
-  
+
+  const resolved = resolveGameSettings(settings || getDivisionSettings(tournamentId) || DEFAULT_MATCH_SETTINGS);
+  if (resolved.issues) {
+    return res.status(400).json(validationError(resolved.issues));
+  }
+
+  const assigned = assignCourt(tournamentId, match, resolved.settings.court);
+  if (assigned.error) {
+    return res.status(409).json({ error: assigned.error, code: 'court_in_use' });
+  }
+
+  const game = startScheduledMatch(tournamentId, match, resolved.settings, bestOf, assigned.court);
+  bracketTournaments.save(tournament);
+
+  const matchStarted = { tournamentId, matchId, gameId: game.id, match };
+  io.to(`bracket-${tournamentId}`).emit('matchStarted', matchStarted);
+  notifyWebhooks(tournamentId, 'matchStarted', matchStarted);
+
   res.json({
     match,
     game: game.getGameState()
   });
 });
 
-// Complete a match and update tournament standings
-app.post('/api/round-robin/tournaments/:tournamentId/matches/:matchId/complete', (req, res) => {
-  const { tournamentId, matchId } = req.params;
-  
-  const tournament = roundRobinTournaments.get(tournamentId);
-  if (!tournament) {
-    return res.status(404).json({ error: 'Tournament not found' });
+// ============= BRACKET ENDPOINTS END HERE =============
+
+// ============= POOL PLAY ENDPOINTS START HERE =============
+
+// Create a pool-play event; each pool is a regular round-robin tournament
+app.post('/api/pools/events', validateBody(schemas.createPoolEvent), (req, res) => {
+  const { name, teams, organizerId, poolCount, seeding, advancePerPool, wildcards, playoffFormat } = req.body;
+
+  const { entries, issues } = resolveTeamEntries(teams);
+  if (issues) {
+    return res.status(400).json(validationError(issues));
   }
-  
-  const match = tournament.matches.find(m => m.id === matchId);
-  if (!match || !match.gameId) {
-    return res.status(404).json({ error: 'Match not found or not started' });
+
+  // Rating seeding snakes registered teams into pools by their current rating
+  const event = new PoolPlayEvent(name, seeding === 'rating' ? registry.sortByRating(entries) : entries, organizerId || uuidv4(), {
+    poolCount,
+    seeding,
+    advancePerPool,
+    wildcards,
+    playoffFormat
+  });
+  event.createPools().forEach(pool => roundRobinTournaments.set(pool.id, pool));
+  poolEvents.set(event.id, event);
+  const { token: organizerToken } = access.issue(event.id, 'organizer');
+
+  res.json({ ...getPoolEventOverview(event), organizerToken });
+});
+
+// Get all pool-play events
+app.get('/api/pools/events', (req, res) => {
+  const events = Array.from(poolEvents.values()).map(e => ({
+    id: e.id,
+    name: e.name,
+    status: e.status,
+    teamsCount: e.teams.length,
+    poolsCount: e.pools.length,
+    playoffId: e.playoffId,
+    createdAt: e.createdAt
+  }));
+
+  res.json(events);
+});
+
+// Get pool standings, qualifiers and the playoff bracket
+app.get('/api/pools/events/:id', (req, res) => {
+  const event = poolEvents.get(req.params.id);
+
+  if (!event) {
+    return res.status(404).json({ error: 'Event not found' });
   }
-  
-  const game = games.get(match.gameId);
-  if (!game) {
-    return res.status(404).json({ error: 'Game not found' });
+
+  res.json(getPoolEventOverview(event));
+});
+
+// Preview who would qualify if pool play ended now
+app.get('/api/pools/events/:id/qualifiers', (req, res) => {
+  const event = poolEvents.get(req.params.id);
+
+  if (!event) {
+    return res.status(404).json({ error: 'Event not found' });
   }
-  
-  if (game.status !== 'completed') {
-    return res.status(400).json({ error: 'Game is not completed yet' });
+
+  const pools = getEventPools(event);
+  res.json({
+    poolPlayComplete: event.isPoolPlayComplete(pools),
+    qualifiers: event.playoffId ? event.qualifiers : event.calculateQualifiers(pools)
+  });
+});
+
+// ============= POOL PLAY ENDPOINTS END HERE =============
+
+// ============= EVENT ENDPOINTS START HERE =============
+// Multi-division events: one event id and join code for a whole event day,
+// with each division running its own round-robin, pools or bracket
+
+// Tournament behind a new division, created and stored for its format
+function createDivisionTournament(event, name, format, entries, options, courtCount) {
+  const ordered = options.seeding === 'rating' ? registry.sortByRating(entries) : entries;
+  let tournament;
+  if (format === 'round-robin') {
+    tournament = new RoundRobinTournament(name, entries, event.organizerId, {
+      courts: courtCount,
+      matchScoring: options.matchScoring,
+      outcomeScoring: options.outcomeScoring
+    });
+  } else if (format === 'bracket') {
+    tournament = new BracketTournament(name, ordered, event.organizerId, options);
+  } else {
+    tournament = new PoolPlayEvent(name, ordered, event.organizerId, options);
   }
-  
-  // Update tournament with match result
-  tournament.updateMatchResult(matchId, game.team1.score, game.team2.score);
-  
-  // Emit updated standings
-  io.to(`round-robin-${tournamentId}`).emit('standingsUpdated', tournament.getStandings());
-  
-  res.json(tournament.getStandings());
+  // Set before anything is stored: access, courts and rooms all follow this link
+  tournament.divisionEventId = event.id;
+
+  if (format === 'round-robin') {
+    roundRobinTournaments.set(tournament.id, tournament);
+  } else if (format === 'bracket') {
+    bracketTournaments.set(tournament.id, tournament);
+  } else {
+    tournament.createPools().forEach(pool => roundRobinTournaments.set(pool.id, pool));
+    poolEvents.set(tournament.id, tournament);
+  }
+  return tournament;
+}
+
+// Standings of one division in the shape its format reports them
+function getDivisionStandings(division) {
+  const summary = { id: division.id, name: division.name, format: division.format, tournamentId: division.tournamentId };
+  if (division.format === 'round-robin') {
+    const tournament = roundRobinTournaments.get(division.tournamentId);
+    return { ...summary, status: tournament.status, rankings: tournament.rankings };
+  }
+  if (division.format === 'bracket') {
+    const bracket = bracketTournaments.get(division.tournamentId).getBracket();
+    return { ...summary, status: bracket.tournament.status, champion: bracket.champion };
+  }
+  const overview = getPoolEventOverview(poolEvents.get(division.tournamentId));
+  return {
+    ...summary,
+    status: overview.event.status,
+    pools: overview.pools.map(pool => ({ name: pool.name, status: pool.tournament.status, rankings: pool.rankings })),
+    qualifiers: overview.qualifiers,
+    champion: overview.playoff ? overview.playoff.champion : null
+  };
+}
+
+// Combined view of the event: every division's progress and standings, and
+// what is on each venue court
+function getEventDashboard(event) {
+  const divisionNames = new Map();
+  const divisions = event.divisions.map(division => {
+    const scheduled = getDivisionTournaments(division).flatMap(tournament => tournament.matches);
+    getDivisionTournaments(division).forEach(tournament => divisionNames.set(tournament.id, division.name));
+    return {
+      ...getDivisionStandings(division),
+      courts: event.getDivisionCourts(division),
+      completedMatches: scheduled.filter(m => m.status === 'completed').length,
+      totalMatches: scheduled.length
+    };
+  });
+
+  return {
+    event: event.getSummary(),
+    divisions,
+    courts: getCourtBoard(event.divisions.flatMap(getDivisionGames)).map(entry => ({
+      ...entry,
+      division: divisionNames.get(entry.game.tournamentId) || null
+    }))
+  };
+}
+
+// Create an event; `courts` is the number of courts at the venue
+app.post('/api/events', validateBody(schemas.createEvent), (req, res) => {
+  const { name, organizerId, courts } = req.body;
+  const event = new MultiDivisionEvent(name, organizerId || uuidv4(), { courts });
+  // Codes are short, so make sure a new one is not taken
+  while (Array.from(divisionEvents.values()).some(other => other.joinCode === event.joinCode)) {
+    event.joinCode = createJoinCode();
+  }
+  divisionEvents.set(event.id, event);
+  const { token: organizerToken } = access.issue(event.id, 'organizer');
+
+  res.json({ ...getEventDashboard(event), organizerToken });
 });
 
-// Get current standings/rankings
-app.get('/api/round-robin/tournaments/:id/standings', (req, res) => {
-  const tournament = roundRobinTournaments.get(req.params.id);
-  
-  if (!tournament) {
-    return res.status(404).json({ error: 'Tournament not found' });
+// Spectators find an event by its join code
+app.get('/api/events/join/:code', (req, res) => {
+  const code = req.params.code.trim().toUpperCase();
+  const event = Array.from(divisionEvents.values()).find(e => e.joinCode === code);
+  if (!event) {
+    return res.status(404).json({ error: 'Event not found' });
+  }
+  res.json(getEventDashboard(event));
+});
+
+app.get('/api/events/:id', (req, res) => {
+  const event = divisionEvents.get(req.params.id);
+  if (!event) {
+    return res.status(404).json({ error: 'Event not found' });
+  }
+  res.json(getEventDashboard(event));
+});
+
+// Standings of every division
+app.get('/api/events/:id/standings', (req, res) => {
+  const event = divisionEvents.get(req.params.id);
+  if (!event) {
+    return res.status(404).json({ error: 'Event not found' });
   }
-  
   res.json({
-    rankings: tournament.rankings,
-    teams: tournament.teams,
-    tiedGroups: tournament.findTiedGroups()
+    event: event.getSummary(),
+    divisions: event.divisions.map(getDivisionStandings)
   });
 });
 
-// ============= ROUND-ROBIN ENDPOINTS END HERE =============
+// Add a division. Its teams play in `format` on the listed venue `courts`
+// (all of them by default), and its matches start with `settings` unless
+// the organizer gives others; `options` are the format's own options.
+app.post('/api/events/:id/divisions', requireOrganizer, validateBody(schemas.createDivision), (req, res) => {
+  const { name, format, teams, courts, settings, options = {} } = req.body;
+  const event = divisionEvents.get(req.params.id);
+  if (!event) {
+    return res.status(404).json({ error: 'Event not found' });
+  }
+
+  const courtIssues = (courts || [])
+    .map((court, index) => court > event.courts ? issueAt(`courts[${index}]`, 'too_large', `must be at most ${event.courts}`) : null)
+    .filter(Boolean);
+  if (courtIssues.length > 0) {
+    return res.status(400).json(validationError(courtIssues));
+  }
+  if (event.divisions.some(division => isSameTeamName(division.name, name))) {
+    return res.status(409).json({ error: `A division named "${name.trim()}" already exists`, code: 'duplicate_division' });
+  }
+
+  const resolved = settings && resolveGameSettings(settings);
+  if (resolved && resolved.issues) {
+    return res.status(400).json(validationError(resolved.issues));
+  }
+
+  const { entries, issues } = resolveTeamEntries(teams);
+  if (issues) {
+    return res.status(400).json(validationError(issues));
+  }
+
+  const tournament = createDivisionTournament(
+    event,
+    `${event.name} - ${name.trim()}`,
+    format,
+    entries,
+    options,
+    courts ? courts.length : event.courts
+  );
+  const division = event.addDivision(name.trim(), format, tournament.id, { courts, settings });
+  divisionEvents.save(event);
+
+  joinEventRooms(event.id);
+  io.to(`event-${event.id}`).emit('divisionAdded', getDivisionStandings(division));
+
+  res.json(getEventDashboard(event));
+});
+
+// A division in full: round-robin standings, pool-play overview or bracket
+app.get('/api/events/:id/divisions/:divisionId', (req, res) => {
+  const event = divisionEvents.get(req.params.id);
+  const division = event && event.getDivision(req.params.divisionId);
+  if (!division) {
+    return res.status(404).json({ error: 'Division not found' });
+  }
+
+  const details = {
+    'round-robin': () => roundRobinTournaments.get(division.tournamentId).getStandings(),
+    pools: () => getPoolEventOverview(poolEvents.get(division.tournamentId)),
+    bracket: () => bracketTournaments.get(division.tournamentId).getBracket()
+  }[division.format]();
+  res.json({ division: { ...division, courts: event.getDivisionCourts(division) }, ...details });
+});
+
+// ============= EVENT ENDPOINTS END HERE =============
+
+// ============= SCOREBOARD ENDPOINTS START HERE =============
+// Read-only views for TV boards and stream overlays. They never need a token.
+
+// Game on show for each court: the one in play, otherwise the one that
+// finished last. Games without a court are listed while they are in play.
+function getCourtBoard(eventGames, courtFilter) {
+  const byCourt = new Map();
+  const unassigned = [];
+
+  eventGames.forEach(game => {
+    if (!game.court) {
+      if (!courtFilter && game.status !== 'completed') unassigned.push(game);
+      return;
+    }
+    const court = Number(game.court);
+    if (courtFilter && !courtFilter.includes(court)) return;
+
+    const shown = byCourt.get(court);
+    const live = game.status !== 'completed';
+    const shownLive = shown && shown.status !== 'completed';
+    if (!shown || (live && !shownLive) || (live === shownLive && game.startedAt > shown.startedAt)) {
+      byCourt.set(court, game);
+    }
+  });
+
+  return [
+    ...Array.from(byCourt.entries())
+      .sort(([a], [b]) => a - b)
+      .map(([court, game]) => getBoardEntry(court, game)),
+    ...unassigned.map(game => getBoardEntry(null, game))
+  ];
+}
+
+function getBoardEntry(court, game) {
+  const match = game.matchId && matches.get(game.matchId);
+  return {
+    court,
+    game: game.getGameState(),
+    match: match
+      ? {
+        id: match.id,
+        bestOf: match.bestOf,
+        team1GamesWon: match.team1.gamesWon,
+        team2GamesWon: match.team2.gamesWon,
+        status: match.status
+      }
+      : null
+  };
+}
+
+// Court board for a tournament, round-robin or multi-division event.
+// `courts` takes a comma-separated list of court numbers to show.
+app.get('/api/scoreboard/:eventId', (req, res) => {
+  const { eventId } = req.params;
+  const tournament = tournaments.get(eventId);
+  const roundRobin = roundRobinTournaments.get(eventId);
+  const divisionEvent = divisionEvents.get(eventId);
+  if (!tournament && !roundRobin && !divisionEvent) {
+    return res.status(404).json({ error: 'Event not found' });
+  }
+
+  const courtFilter = req.query.courts
+    ? String(req.query.courts).split(',').map(Number).filter(Number.isInteger)
+    : null;
+  let eventGames;
+  if (tournament) {
+    eventGames = tournament.games.map(id => games.get(id)).filter(Boolean);
+  } else if (roundRobin) {
+    eventGames = roundRobin.matches.filter(m => m.gameId).flatMap(getScheduledMatchGames);
+  } else {
+    eventGames = divisionEvent.divisions.flatMap(getDivisionGames);
+  }
+  const event = tournament || roundRobin || divisionEvent;
+  const kind = (tournament && 'tournament') || (roundRobin && 'round-robin') || 'event';
+
+  res.json({
+    event: {
+      id: event.id,
+      name: event.name,
+      kind,
+      status: event.status || null
+    },
+    courts: getCourtBoard(eventGames, courtFilter),
+    standings: roundRobin ? roundRobin.rankings : null
+  });
+});
+
+// One game for an overlay, with the match score when it is part of a match
+app.get('/api/scoreboard/games/:id', (req, res) => {
+  const game = games.get(req.params.id);
+  if (!game) {
+    return res.status(404).json({ error: 'Game not found' });
+  }
+
+  res.json(getBoardEntry(game.court ? Number(game.court) : null, game));
+});
+
+// ============= SCOREBOARD ENDPOINTS END HERE =============
+
+// Socket events get the same validation as REST routes. A bad payload is
+// answered with the REST error body through the acknowledgement callback when
+// the client passed one, otherwise as a `requestError` event.
+function onSocketEvent(socket, event, schema, path, handler) {
+  socket.on(event, (payload, ack) => {
+    const issues = validate(schema, payload, path);
+    if (issues.length > 0) {
+      const error = { event, ...validationError(issues) };
+      return typeof ack === 'function' ? ack(error) : socket.emit('requestError', error);
+    }
+    handler(payload, ack);
+  });
+}
+
+// Run a command sent over the socket. The payload holds the command body
+// plus the ids the REST route takes in its path (`gameId`, ...) and a
+// `token` unless one was given when connecting. The acknowledgement gets
+// { ok: true, status, data } or { ok: false, status, error, code, ... }.
+function onSocketCommand(socket, event, command) {
+  socket.on(event, (payload, ack) => {
+    const respond = result => {
+      const ok = result.status < 400;
+      const reply = ok
+        ? { ok, status: result.status, data: result.body }
+        : { ok, status: result.status, ...withErrorCode(result.status, result.body) };
+      if (typeof ack === 'function') ack(reply);
+      else if (!ok) socket.emit('requestError', { event, ...reply });
+    };
+
+    const payloadSchema = {
+      type: 'object',
+      required: true,
+      fields: Object.fromEntries(Object.values(command.params).map(key => [key, schemas.roomId]))
+    };
+    const issues = validate(payloadSchema, payload, '');
+    if (issues.length > 0) {
+      return respond(commandResult(validationError(issues), 400));
+    }
+
+    const { token, ...body } = payload;
+    const params = {};
+    Object.entries(command.params).forEach(([param, key]) => {
+      params[param] = body[key];
+      delete body[key];
+    });
+
+    respond(runCommand(command, {
+      params,
+      body,
+      token: token || (socket.handshake.auth && socket.handshake.auth.token) || null,
+      expectedVersion: body.expectedVersion !== undefined ? body.expectedVersion : null,
+      idempotencyKey: null
+    }));
+  });
+}
 
 // WebSocket handling
 io.on('connection', (socket) => {
   console.log('New client connected:', socket.id);
 
+  // Scoring commands, acknowledged with the new state or an error
+  onSocketCommand(socket, 'score', commands.score);
+  onSocketCommand(socket, 'undo', commands.undo);
+  onSocketCommand(socket, 'switchServe', commands.switchServe);
+  onSocketCommand(socket, 'completeMatch', commands.completeMatch);
+
   // Join a tournament room as viewer
-  socket.on('joinTournament', (tournamentId) => {
+  onSocketEvent(socket, 'joinTournament', schemas.roomId, 'tournamentId', (tournamentId) => {
     const tournament = tournaments.get(tournamentId);
     if (tournament) {
       socket.join(`tournament-${tournamentId}`);
@@ -516,7 +3475,7 @@ io.on('connection', (socket) => {
   });
 
   // Join a specific game room
-  socket.on('joinGame', (gameId) => {
+  onSocketEvent(socket, 'joinGame', schemas.roomId, 'gameId', (gameId) => {
     const game = games.get(gameId);
     if (game) {
       socket.join(`game-${gameId}`);
@@ -526,7 +3485,7 @@ io.on('connection', (socket) => {
   });
 
   // Leave tournament room
-  socket.on('leaveTournament', (tournamentId) => {
+  onSocketEvent(socket, 'leaveTournament', schemas.roomId, 'tournamentId', (tournamentId) => {
     const tournament = tournaments.get(tournamentId);
     if (tournament) {
       socket.leave(`tournament-${tournamentId}`);
@@ -540,7 +3499,7 @@ io.on('connection', (socket) => {
   });
 
   // Join round-robin tournament room
-  socket.on('joinRoundRobin', (tournamentId) => {
+  onSocketEvent(socket, 'joinRoundRobin', schemas.roomId, 'tournamentId', (tournamentId) => {
     const tournament = roundRobinTournaments.get(tournamentId);
     if (tournament) {
       socket.join(`round-robin-${tournamentId}`);
@@ -550,10 +3509,59 @@ io.on('connection', (socket) => {
   });
   
   // Leave round-robin tournament room
-  socket.on('leaveRoundRobin', (tournamentId) => {
+  onSocketEvent(socket, 'leaveRoundRobin', schemas.roomId, 'tournamentId', (tournamentId) => {
     socket.leave(`round-robin-${tournamentId}`);
   });
 
+  // Join pool-play event room
+  onSocketEvent(socket, 'joinPoolEvent', schemas.roomId, 'eventId', (eventId) => {
+    const event = poolEvents.get(eventId);
+    if (event) {
+      socket.join(`pool-event-${eventId}`);
+      socket.emit('poolEventState', getPoolEventOverview(event));
+      console.log(`Socket ${socket.id} joined pool-play event ${eventId}`);
+    }
+  });
+
+  // Leave pool-play event room
+  onSocketEvent(socket, 'leavePoolEvent', schemas.roomId, 'eventId', (eventId) => {
+    socket.leave(`pool-event-${eventId}`);
+  });
+
+  // Join a multi-division event: its own room plus the rooms of every division
+  onSocketEvent(socket, 'joinEvent', schemas.roomId, 'eventId', (eventId) => {
+    const event = divisionEvents.get(eventId);
+    if (event) {
+      socket.join([`event-${eventId}`, ...event.divisions.flatMap(getDivisionRooms)]);
+      socket.emit('eventState', getEventDashboard(event));
+      console.log(`Socket ${socket.id} joined event ${eventId}`);
+    }
+  });
+
+  // Leave a multi-division event and its divisions
+  onSocketEvent(socket, 'leaveEvent', schemas.roomId, 'eventId', (eventId) => {
+    const event = divisionEvents.get(eventId);
+    socket.leave(`event-${eventId}`);
+    if (event) {
+      event.divisions.flatMap(getDivisionRooms).forEach(room => socket.leave(room));
+    }
+  });
+
+  // Join bracket tournament room
+  onSocketEvent(socket, 'joinBracket', schemas.roomId, 'tournamentId', (tournamentId) => {
+    const tournament = bracketTournaments.get(tournamentId);
+    if (tournament) {
+      socket.join(`bracket-${tournamentId}`);
+      socket.emit('bracketState', tournament.getBracket());
+      console.log(`Socket ${socket.id} joined bracket tournament ${tournamentId}`);
+    }
+  });
+
+  // Leave bracket tournament room
+  onSocketEvent(socket, 'leaveBracket', schemas.roomId, 'tournamentId', (tournamentId) => {
+    socket.leave(`bracket-${tournamentId}`);
+  });
+
   // Handle disconnection
   socket.on('disconnect', () => {
     console.log('Client disconnected:', socket.id);
@@ -570,11 +3578,50 @@ io.on('connection', (socket) => {
   });
 });
 
+// Background sweep, every SWEEP_INTERVAL_MS: forget viewers whose socket
+// is gone, delete games whose event no longer exists, and unload completed
+// games left alone for GAME_RETENTION_MS. The file store keeps unloaded
+// games on disk only and reads them back the next time they are asked for;
+// with STORAGE_DRIVER=memory there is no other copy, so nothing is unloaded.
+const SWEEP_INTERVAL_MS = Number(process.env.SWEEP_INTERVAL_MS) || 10 * 60 * 1000;
+const GAME_RETENTION_MS = Number(process.env.GAME_RETENTION_MS) || 6 * 60 * 60 * 1000;
+
+function sweepStaleRecords() {
+  tournaments.forEach(tournament => {
+    tournament.viewers.forEach(socketId => {
+      if (!io.sockets.sockets.has(socketId)) tournament.viewers.delete(socketId);
+    });
+  });
+
+  const eventRepositories = [tournaments, roundRobinTournaments, bracketTournaments, poolEvents];
+  const now = Date.now();
+  let removed = 0;
+  let unloaded = 0;
+  Array.from(games.values()).forEach(game => {
+    if (!eventRepositories.some(repository => repository.has(game.tournamentId))) {
+      games.delete(game.id);
+      removed++;
+    } else if (game.completedAt && now - game.completedAt > GAME_RETENTION_MS && games.evict(game.id)) {
+      unloaded++;
+    }
+  });
+
+  if (removed > 0 || unloaded > 0) {
+    console.log(`Sweep removed ${removed} orphaned game(s) and unloaded ${unloaded} idle game(s)`);
+  }
+}
+
+// The sweep must not keep the process alive on shutdown
+setInterval(sweepStaleRecords, SWEEP_INTERVAL_MS).unref();
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ status: 'OK', timestamp: new Date() });
 });
 
+// Malformed JSON and unexpected failures still answer with { error, code }
+app.use(handleRequestError);
+
 // Start server
 const PORT = process.env.PORT || 3001;
 server.listen(PORT, () => {
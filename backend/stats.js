@@ -0,0 +1,186 @@
+// backend/stats.js
+
+// A game won after trailing by at least this many points is a comeback
+const COMEBACK_DEFICIT = 3;
+// Games decided by this margin or less count as close
+const CLOSE_GAME_MARGIN = 2;
+
+// Rallies that are still in effect, each with the state before and after
+// it. Undo history holds the snapshot taken before every effective action,
+// so it already leaves out anything that was undone.
+function getRallies(game) {
+  const rallies = [];
+  game.history.forEach((before, index) => {
+    if (before.type && before.type !== 'rally') return;
+
+    const after = game.history[index + 1] || game;
+    const scored = after.team1.score > before.team1.score ? 1
+      : after.team2.score > before.team2.score ? 2
+      : null;
+    rallies.push({
+      team: before.team || scored,
+      servingTeam: before.servingTeam,
+      scored,
+      sideOut: after.servingTeam !== before.servingTeam,
+      score: { team1: after.team1.score, team2: after.team2.score }
+    });
+  });
+  return rallies;
+}
+
+function getGameStats(game) {
+  const rallies = getRallies(game);
+  const teams = [1, 2].map(team => ({
+    name: game[`team${team}`].name,
+    score: game[`team${team}`].score,
+    ralliesWon: 0,
+    pointsOnServe: 0,
+    pointsOnReceive: 0, // rally scoring only
+    sideOuts: 0, // serve won back from the other team
+    longestRun: 0,
+    largestDeficit: 0
+  }));
+
+  let runTeam = null;
+  let runLength = 0;
+  rallies.forEach(rally => {
+    const stats = teams[rally.team - 1];
+    if (stats) stats.ralliesWon++;
+
+    if (rally.scored) {
+      const scorer = teams[rally.scored - 1];
+      if (rally.scored === rally.servingTeam) scorer.pointsOnServe++;
+      else scorer.pointsOnReceive++;
+
+      runLength = rally.scored === runTeam ? runLength + 1 : 1;
+      runTeam = rally.scored;
+      scorer.longestRun = Math.max(scorer.longestRun, runLength);
+    }
+
+    if (rally.sideOut) {
+      teams[2 - rally.servingTeam].sideOuts++;
+    }
+
+    teams[0].largestDeficit = Math.max(teams[0].largestDeficit, rally.score.team2 - rally.score.team1);
+    teams[1].largestDeficit = Math.max(teams[1].largestDeficit, rally.score.team1 - rally.score.team2);
+  });
+
+  const points = teams[0].score + teams[1].score;
+  const durationMs = game.completedAt
+    ? new Date(game.completedAt) - new Date(game.startedAt)
+    : null;
+  const winner = game.winner ? teams[game.winner - 1] : null;
+
+  return {
+    gameId: game.id,
+    status: game.status,
+    winner: game.winner,
+    team1: teams[0],
+    team2: teams[1],
+    rallies: rallies.length,
+    points,
+    sideOuts: teams[0].sideOuts + teams[1].sideOuts,
+    ralliesPerPoint: points > 0 ? round(rallies.length / points) : null,
+    longestRun: Math.max(teams[0].longestRun, teams[1].longestRun),
+    margin: Math.abs(teams[0].score - teams[1].score),
+    comeback: !!winner && winner.largestDeficit >= COMEBACK_DEFICIT,
+    startedAt: game.startedAt,
+    completedAt: game.completedAt,
+    durationMs,
+    msPerRally: durationMs !== null && rallies.length > 0 ? Math.round(durationMs / rallies.length) : null
+  };
+}
+
+// Per-team aggregates over the completed games of a round-robin.
+// getMatchGames(match) returns the Game objects played for a scheduled match.
+function getTournamentStats(tournament, getMatchGames) {
+  const teamStats = new Map(tournament.teams.map(team => [team.id, {
+    teamId: team.id,
+    teamName: team.name,
+    matchesPlayed: 0,
+    gamesPlayed: 0,
+    gamesWon: 0,
+    totalMargin: 0,
+    comebackWins: 0,
+    closeGames: { won: 0, lost: 0 },
+    pointsOnServe: 0,
+    sideOuts: 0,
+    longestRun: 0,
+    rallies: 0,
+    points: 0
+  }]));
+
+  let gamesPlayed = 0;
+  let totalDurationMs = 0;
+  let timedGames = 0;
+  let longestGame = null;
+
+  tournament.matches
+    .filter(match => match.status === 'completed')
+    .forEach(match => {
+      const sides = [teamStats.get(match.team1.id), teamStats.get(match.team2.id)];
+      sides.forEach(side => { if (side) side.matchesPlayed++; });
+
+      getMatchGames(match)
+        .filter(game => game.status === 'completed')
+        .forEach(game => {
+          const stats = getGameStats(game);
+          gamesPlayed++;
+          if (stats.durationMs !== null) {
+            totalDurationMs += stats.durationMs;
+            timedGames++;
+            if (!longestGame || stats.durationMs > longestGame.durationMs) {
+              longestGame = { gameId: game.id, durationMs: stats.durationMs };
+            }
+          }
+
+          sides.forEach((side, index) => {
+            if (!side) return;
+            const own = stats[`team${index + 1}`];
+            const opponent = stats[`team${2 - index}`];
+            const won = stats.winner === index + 1;
+
+            side.gamesPlayed++;
+            if (won) side.gamesWon++;
+            side.totalMargin += own.score - opponent.score;
+            if (won && stats.comeback) side.comebackWins++;
+            if (stats.margin <= CLOSE_GAME_MARGIN) {
+              side.closeGames[won ? 'won' : 'lost']++;
+            }
+            side.pointsOnServe += own.pointsOnServe;
+            side.sideOuts += own.sideOuts;
+            side.longestRun = Math.max(side.longestRun, own.longestRun);
+            side.rallies += stats.rallies;
+            side.points += stats.points;
+          });
+        });
+    });
+
+  return {
+    tournament: {
+      id: tournament.id,
+      name: tournament.name,
+      status: tournament.status
+    },
+    gamesPlayed,
+    averageDurationMs: timedGames > 0 ? Math.round(totalDurationMs / timedGames) : null,
+    longestGame,
+    teams: Array.from(teamStats.values()).map(side => {
+      const { totalMargin, rallies, points, ...rest } = side;
+      return {
+        ...rest,
+        averageMargin: side.gamesPlayed > 0 ? round(totalMargin / side.gamesPlayed) : null,
+        ralliesPerPoint: points > 0 ? round(rallies / points) : null
+      };
+    })
+  };
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  getGameStats,
+  getTournamentStats
+};
@@ -0,0 +1,337 @@
+// backend/storage.js
+const fs = require('fs');
+const path = require('path');
+
+// Rewrite the log once this many superseded entries have piled up
+const COMPACT_THRESHOLD = 5000;
+
+// Keeps nothing between restarts; used when persistence is switched off
+class MemoryStore {
+  load(collection) {
+    return [];
+  }
+
+  get(collection, id) {
+    return null;
+  }
+
+  has(collection, id) {
+    return false;
+  }
+
+  put(collection, id, record) {}
+
+  remove(collection, id) {}
+
+  release(collection, id) {}
+}
+
+// Append-only JSON log: one `{ op, collection, id, record }` entry per line.
+// On startup the log is replayed so the last write for each id wins. A write
+// to a record already in memory is logged as a `patch` entry holding only
+// the fields that changed, and only the new items of lists that grew (a
+// game's event log), so scoring a rally does not rewrite the whole game.
+// Each id maps to `{ record, offset, length, patched }`, the byte range of
+// its latest full entry; released records keep only the range and are read
+// back from the file when asked for.
+class JsonLogStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.collections = new Map();
+    this.staleEntries = 0;
+    this.size = 0; // bytes in the log, where the next entry starts
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    this.replay();
+  }
+
+  replay() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    const data = fs.readFileSync(this.filePath);
+    let offset = 0;
+    let lineNumber = 0;
+    while (offset < data.length) {
+      const newline = data.indexOf(10, offset);
+      const end = newline === -1 ? data.length : newline;
+      const line = data.toString('utf8', offset, end);
+      const lineOffset = offset;
+      offset = end + 1;
+      lineNumber++;
+      if (!line.trim()) continue;
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        // A crash mid-write can leave a torn last line behind
+        console.warn(`Skipping unreadable storage entry at line ${lineNumber}`);
+        continue;
+      }
+
+      const records = this.getCollection(entry.collection);
+      if (records.has(entry.id) || entry.op === 'remove') this.staleEntries++;
+
+      if (entry.op === 'put') {
+        records.set(entry.id, { record: entry.record, offset: lineOffset, length: end - lineOffset, patched: false });
+      } else if (entry.op === 'patch' && records.has(entry.id)) {
+        const stored = records.get(entry.id);
+        stored.record = applyPatch(stored.record, entry);
+        stored.patched = true;
+      } else if (entry.op === 'remove') {
+        records.delete(entry.id);
+      }
+    }
+    this.size = data.length;
+  }
+
+  getCollection(collection) {
+    if (!this.collections.has(collection)) {
+      this.collections.set(collection, new Map());
+    }
+    return this.collections.get(collection);
+  }
+
+  load(collection) {
+    return Array.from(this.getCollection(collection).keys()).map(id => this.get(collection, id));
+  }
+
+  // Callers get their own copy: the record kept here is what the next
+  // write is compared against, so it must not change under it
+  get(collection, id) {
+    const stored = this.getCollection(collection).get(id);
+    if (!stored) return null;
+    return stored.record ? structuredClone(stored.record) : this.readRecord(stored);
+  }
+
+  has(collection, id) {
+    return this.getCollection(collection).has(id);
+  }
+
+  put(collection, id, record) {
+    const records = this.getCollection(collection);
+    const stored = records.get(id);
+
+    if (stored && stored.record) {
+      const patch = diffRecords(stored.record, record);
+      if (!patch) return;
+      this.staleEntries++;
+      this.append({ op: 'patch', collection, id, ...patch });
+      stored.record = record;
+      stored.patched = true;
+    } else {
+      if (stored) this.staleEntries++;
+      const location = this.append({ op: 'put', collection, id, record });
+      records.set(id, { record, ...location, patched: false });
+    }
+    this.compactIfStale();
+  }
+
+  remove(collection, id) {
+    const records = this.getCollection(collection);
+    if (!records.has(id)) return;
+    records.delete(id);
+    this.staleEntries++;
+    this.append({ op: 'remove', collection, id });
+    this.compactIfStale();
+  }
+
+  // Stop holding a record in memory; get() reads it back from the log. A
+  // record spread over patches is written out whole first, so it can be
+  // read back from a single entry.
+  release(collection, id) {
+    const stored = this.getCollection(collection).get(id);
+    if (!stored || !stored.record) return;
+    if (stored.patched) {
+      Object.assign(stored, this.append({ op: 'put', collection, id, record: stored.record }), { patched: false });
+      this.staleEntries++;
+    }
+    stored.record = null;
+    this.compactIfStale();
+  }
+
+  // Read the entry at a known place in the log
+  readRecord({ offset, length }) {
+    const buffer = Buffer.alloc(length);
+    const fd = fs.openSync(this.filePath, 'r');
+    try {
+      fs.readSync(fd, buffer, 0, length, offset);
+    } finally {
+      fs.closeSync(fd);
+    }
+    return JSON.parse(buffer.toString('utf8')).record;
+  }
+
+  // Append an entry and return where it was written
+  append(entry) {
+    const line = JSON.stringify(entry) + '\n';
+    const location = { offset: this.size, length: Buffer.byteLength(line) - 1 };
+    fs.appendFileSync(this.filePath, line);
+    this.size += location.length + 1;
+    return location;
+  }
+
+  compactIfStale() {
+    if (this.staleEntries >= COMPACT_THRESHOLD) {
+      this.compact();
+    }
+  }
+
+  // Rewrite the log with only the latest record for each id. Released
+  // records are read from the old log and stay released.
+  compact() {
+    const tempPath = `${this.filePath}.tmp`;
+    const lines = [];
+    const locations = [];
+    let size = 0;
+
+    this.collections.forEach((records, collection) => {
+      records.forEach((stored, id) => {
+        const line = JSON.stringify({ op: 'put', collection, id, record: stored.record || this.readRecord(stored) });
+        const length = Buffer.byteLength(line);
+        lines.push(line);
+        locations.push([stored, size, length]);
+        size += length + 1;
+      });
+    });
+
+    fs.writeFileSync(tempPath, lines.length ? lines.join('\n') + '\n' : '');
+    fs.renameSync(tempPath, this.filePath);
+    locations.forEach(([stored, offset, length]) => {
+      Object.assign(stored, { offset, length, patched: false });
+    });
+    this.size = size;
+    this.staleEntries = 0;
+  }
+}
+
+// Changes from one version of a record to the next: `set` for fields that
+// changed, `append` for the new items of lists that only grew, `unset` for
+// fields that are gone. Null when nothing changed.
+function diffRecords(previous, record) {
+  const set = {};
+  const append = {};
+  const unset = Object.keys(previous).filter(key => !(key in record));
+
+  Object.entries(record).forEach(([key, value]) => {
+    const before = previous[key];
+    const beforeJson = JSON.stringify(before);
+    if (JSON.stringify(value) === beforeJson) return;
+    if (Array.isArray(value) && Array.isArray(before) && value.length > before.length &&
+        JSON.stringify(value.slice(0, before.length)) === beforeJson) {
+      append[key] = value.slice(before.length);
+    } else {
+      set[key] = value;
+    }
+  });
+
+  const patch = {};
+  if (Object.keys(set).length > 0) patch.set = set;
+  if (Object.keys(append).length > 0) patch.append = append;
+  if (unset.length > 0) patch.unset = unset;
+  return Object.keys(patch).length > 0 ? patch : null;
+}
+
+function applyPatch(record, { set = {}, append = {}, unset = [] }) {
+  const patched = { ...record, ...set };
+  Object.entries(append).forEach(([key, items]) => {
+    patched[key] = [...(patched[key] || []), ...items];
+  });
+  unset.forEach(key => delete patched[key]);
+  return patched;
+}
+
+// Map-like collection of live objects that writes through to a store.
+// The entity type provides `toRecord()` and a static `fromRecord()`.
+// Objects mutated in place must be passed to save() to be persisted.
+// Evicted objects are rebuilt from the store the next time they are read;
+// forEach() and values() only cover the objects currently loaded.
+class Repository {
+  constructor(store, collection, EntityType) {
+    this.store = store;
+    this.collection = collection;
+    this.EntityType = EntityType;
+    this.items = new Map();
+  }
+
+  // Rehydrate every stored record into a live object
+  load() {
+    this.store.load(this.collection).forEach(record => {
+      const item = this.EntityType.fromRecord(record);
+      this.items.set(item.id, item);
+    });
+    return this;
+  }
+
+  get(id) {
+    if (!this.items.has(id)) {
+      const record = this.store.get(this.collection, id);
+      if (!record) return undefined;
+      this.items.set(id, this.EntityType.fromRecord(record));
+    }
+    return this.items.get(id);
+  }
+
+  has(id) {
+    return this.items.has(id) || this.store.has(this.collection, id);
+  }
+
+  set(id, item) {
+    this.items.set(id, item);
+    this.save(item);
+    return this;
+  }
+
+  save(item) {
+    if (!item) return;
+    this.store.put(this.collection, item.id, item.toRecord());
+  }
+
+  delete(id) {
+    const existed = this.has(id);
+    this.items.delete(id);
+    if (existed) {
+      this.store.remove(this.collection, id);
+    }
+    return existed;
+  }
+
+  // Unload an object: the live object is dropped and the store releases its
+  // record, so neither stays in memory until it is read again. Under
+  // MemoryStore the live object is the only copy and nothing is evicted.
+  evict(id) {
+    if (!this.items.has(id) || !this.store.has(this.collection, id)) return false;
+    this.items.delete(id);
+    this.store.release(this.collection, id);
+    return true;
+  }
+
+  values() {
+    return this.items.values();
+  }
+
+  forEach(callback) {
+    this.items.forEach(callback);
+  }
+
+  get size() {
+    return this.items.size;
+  }
+}
+
+// Pick a store from the environment; file-backed unless STORAGE_DRIVER=memory
+function createStore() {
+  if (process.env.STORAGE_DRIVER === 'memory') {
+    return new MemoryStore();
+  }
+
+  const filePath = process.env.STORAGE_FILE || path.join(__dirname, 'data', 'store.log');
+  return new JsonLogStore(filePath);
+}
+
+module.exports = {
+  MemoryStore,
+  JsonLogStore,
+  Repository,
+  createStore
+};
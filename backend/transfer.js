@@ -0,0 +1,198 @@
+// backend/transfer.js
+const { v4: uuidv4 } = require('uuid');
+
+// Exports carry a format marker and version so older files can still be
+// recognised (and rejected cleanly) once the layout changes
+const EXPORT_FORMAT = 'pickleball-tournament';
+const EXPORT_VERSION = 1;
+const EXPORT_KINDS = ['tournament', 'round-robin'];
+
+// Everything needed to rebuild an event elsewhere: the tournament record
+// plus the games and multi-game matches it links to
+function buildExport(kind, tournament, games, matches) {
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    kind,
+    exportedAt: new Date(),
+    tournament: tournament.toRecord(),
+    games: games.map(game => game.toRecord()),
+    matches: matches.map(match => match.toRecord())
+  };
+}
+
+// Validate an export and give the event, its games and its matches fresh
+// ids so the same file can be imported more than once. Returns { error } or
+// { tournament, games, matches } as plain records.
+function readExport(data, kind) {
+  if (!data || data.format !== EXPORT_FORMAT) {
+    return { error: 'Not a tournament export' };
+  }
+  if (data.version !== EXPORT_VERSION) {
+    return { error: `Unsupported export version ${data.version}` };
+  }
+  if (data.kind !== kind || !EXPORT_KINDS.includes(data.kind)) {
+    return { error: `Expected a ${kind} export` };
+  }
+  if (!data.tournament || !Array.isArray(data.games) || !Array.isArray(data.matches)) {
+    return { error: 'Export is incomplete' };
+  }
+  const records = [data.tournament, ...data.games, ...data.matches];
+  if (records.some(record => !record || typeof record !== 'object')) {
+    return { error: 'Export is incomplete' };
+  }
+
+  const idMap = new Map();
+  records.forEach(record => {
+    idMap.set(record.id, uuidv4());
+  });
+
+  return {
+    tournament: remapIds(data.tournament, idMap),
+    games: data.games.map(record => remapIds(record, idMap)),
+    matches: data.matches.map(record => remapIds(record, idMap))
+  };
+}
+
+function remapIds(value, idMap) {
+  if (typeof value === 'string') {
+    return idMap.has(value) ? idMap.get(value) : value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => remapIds(item, idMap));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, remapIds(item, idMap)])
+    );
+  }
+  return value;
+}
+
+// Match results followed by the standings, for spreadsheets and newsletters
+function toResultsCsv(tournament) {
+  const rows = [
+    ['Results'],
+    ['Round', 'Court', 'Team 1', 'Team 2', 'Team 1 Score', 'Team 2 Score', 'Status', 'Completed At']
+  ];
+  tournament.matches.forEach(match => {
+    rows.push([
+      match.round,
+      match.court,
+      match.team1.name,
+      match.team2.name,
+      match.status === 'completed' ? match.team1.score : '',
+      match.status === 'completed' ? match.team2.score : '',
+      match.status,
+      match.completedAt ? new Date(match.completedAt).toISOString() : ''
+    ]);
+  });
+
+  rows.push([]);
+  rows.push(['Standings']);
+  rows.push(['Rank', 'Team', 'GW', 'GL', 'TPS', 'TPC', 'TPD']);
+  tournament.rankings.forEach(ranking => {
+    rows.push([
+      ranking.rank,
+      ranking.teamName,
+      ranking.gamesWon,
+      ranking.gamesLost,
+      ranking.pointsScored,
+      ranking.pointsConceded,
+      ranking.pointDifference
+    ]);
+  });
+
+  return toCsv(rows);
+}
+
+// Game-by-game results of a plain tournament
+function toGamesCsv(games) {
+  const rows = [['Game', 'Team 1', 'Team 2', 'Team 1 Score', 'Team 2 Score', 'Status', 'Started At', 'Completed At']];
+  games.forEach((game, index) => {
+    rows.push([
+      index + 1,
+      game.team1.name,
+      game.team2.name,
+      game.team1.score,
+      game.team2.score,
+      game.status,
+      new Date(game.startedAt).toISOString(),
+      game.completedAt ? new Date(game.completedAt).toISOString() : ''
+    ]);
+  });
+  return toCsv(rows);
+}
+
+function toCsv(rows) {
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+// Text starting with = + - or @ is read as a formula by spreadsheets, so
+// such cells get a leading quote. Numbers (negative point differences) stay as they are.
+function csvField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// iCalendar feed of scheduled matches. Round-robin rounds have no clock
+// times, so round N is placed (N - 1) * roundMinutes after the start time.
+// Matches without a round (older records) are placed in round 1.
+function toCalendar(tournament, { teamId = null, start, roundMinutes = 30 } = {}) {
+  const startTime = start ? new Date(start) : new Date(tournament.createdAt);
+  const stamp = formatIcsDate(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Pickleball Tournament//Schedule//EN',
+    'CALSCALE:GREGORIAN',
+    `X-WR-CALNAME:${escapeIcsText(tournament.name)}`
+  ];
+
+  tournament.matches
+    .filter(match => !teamId || match.team1.id === teamId || match.team2.id === teamId)
+    .forEach(match => {
+      const round = Number.isInteger(match.round) && match.round > 0 ? match.round : 1;
+      const matchStart = new Date(startTime.getTime() + (round - 1) * roundMinutes * 60000);
+      const matchEnd = new Date(matchStart.getTime() + roundMinutes * 60000);
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${match.id}@${EXPORT_FORMAT}`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${formatIcsDate(matchStart)}`,
+        `DTEND:${formatIcsDate(matchEnd)}`,
+        `SUMMARY:${escapeIcsText(`${match.team1.name} vs ${match.team2.name}`)}`,
+        `LOCATION:${escapeIcsText(`Court ${match.court}`)}`,
+        `DESCRIPTION:${escapeIcsText(`${tournament.name} - Round ${round}`)}`,
+        `STATUS:${match.status === 'completed' ? 'CONFIRMED' : 'TENTATIVE'}`,
+        'END:VEVENT'
+      );
+    });
+
+  lines.push('END:VCALENDAR');
+  return lines.join('\r\n') + '\r\n';
+}
+
+function formatIcsDate(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeIcsText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+module.exports = {
+  EXPORT_VERSION,
+  buildExport,
+  readExport,
+  toResultsCsv,
+  toGamesCsv,
+  toCalendar
+};
@@ -0,0 +1,203 @@
+// backend/validation.js
+
+// Schemas are plain objects describing the expected value:
+//   { type: 'string' | 'integer' | 'number' | 'boolean' | 'array' | 'object' | 'any',
+//     required, nullable, values (allowed values), min / max (numbers),
+//     minLength / maxLength (strings, after trimming), items, minItems,
+//     maxItems, unique (key function for array items), fields (objects),
+//     anyOf (list of alternative schemas), refine (value, path) => issues
+//     for rules that span several fields; run once the rest has passed }
+// validate() returns every problem as { path, code, message }; an empty list
+// means the value is acceptable. Unknown object fields are left alone.
+
+// Codes for error responses that are not validation failures
+const STATUS_CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  413: 'payload_too_large'
+};
+
+function validate(schema, value, path = '') {
+  const issues = [];
+  check(schema, value, path, issues);
+  return issues;
+}
+
+function check(schema, value, path, issues) {
+  const issueCount = issues.length;
+  const fail = (code, message) => issues.push(issueAt(path, code, message));
+
+  if (value === undefined || value === null) {
+    if (value === null && schema.nullable) return;
+    if (schema.required) fail('required', 'is required');
+    else if (value === null && !schema.nullable) fail('invalid_type', 'must not be null');
+    return;
+  }
+
+  if (schema.anyOf) {
+    const matches = schema.anyOf.some(option => validate({ ...option, required: true }, value, path).length === 0);
+    if (!matches) {
+      // Report against the alternative of the same type, if there is one
+      const sameType = schema.anyOf.find(option => matchesType(option.type, value));
+      if (sameType) check(sameType, value, path, issues);
+      else fail('invalid_type', `must be ${schema.anyOf.map(option => describeType(option.type)).join(' or ')}`);
+    }
+    return;
+  }
+
+  if (!matchesType(schema.type, value)) {
+    fail('invalid_type', `must be ${describeType(schema.type)}`);
+    return;
+  }
+
+  if (schema.values && !schema.values.includes(value)) {
+    fail('invalid_value', `must be one of ${schema.values.join(', ')}`);
+    return;
+  }
+
+  if (schema.type === 'string') {
+    const length = value.trim().length;
+    if (schema.minLength !== undefined && length < schema.minLength) {
+      fail(length === 0 ? 'required' : 'too_short', length === 0
+        ? 'must not be empty'
+        : `must be at least ${schema.minLength} characters`);
+    } else if (schema.maxLength !== undefined && length > schema.maxLength) {
+      fail('too_long', `must be at most ${schema.maxLength} characters`);
+    }
+  }
+
+  if (schema.type === 'integer' || schema.type === 'number') {
+    if (schema.min !== undefined && value < schema.min) {
+      fail('too_small', `must be at least ${schema.min}`);
+    } else if (schema.max !== undefined && value > schema.max) {
+      fail('too_large', `must be at most ${schema.max}`);
+    }
+  }
+
+  if (schema.type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail('too_short', `must have at least ${schema.minItems} items`);
+    } else if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail('too_long', `must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => check({ required: true, ...schema.items }, item, `${path}[${index}]`, issues));
+    }
+    if (schema.unique) {
+      const seen = new Set();
+      value.forEach((item, index) => {
+        const key = schema.unique(item);
+        if (key === undefined || key === null) return;
+        if (seen.has(key)) {
+          issues.push(issueAt(`${path}[${index}]`, 'duplicate', 'is a duplicate'));
+        }
+        seen.add(key);
+      });
+    }
+  }
+
+  if (schema.type === 'object' && schema.fields) {
+    Object.entries(schema.fields).forEach(([key, fieldSchema]) => {
+      check(fieldSchema, value[key], joinPath(path, key), issues);
+    });
+  }
+
+  if (schema.refine && issues.length === issueCount) {
+    issues.push(...schema.refine(value, path));
+  }
+}
+
+function joinPath(path, key) {
+  return path ? `${path}.${key}` : key;
+}
+
+// One problem found by a refine function
+function issueAt(path, code, message) {
+  return { path, code, message: `${path || 'value'} ${message}` };
+}
+
+// Integers are numbers too
+function matchesType(type, value) {
+  const actual = typeOf(value);
+  return type === 'any' || actual === type || (type === 'number' && actual === 'integer');
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  if (typeof value === 'number') return Number.isFinite(value) ? 'number' : 'invalid';
+  return typeof value;
+}
+
+function describeType(type) {
+  return {
+    string: 'a string',
+    integer: 'a whole number',
+    number: 'a number',
+    boolean: 'true or false',
+    array: 'a list',
+    object: 'an object'
+  }[type] || type;
+}
+
+// Response body for a failed validation
+function validationError(issues) {
+  return {
+    error: issues.map(issue => issue.message).join('; '),
+    code: 'validation_failed',
+    details: issues
+  };
+}
+
+// Route middleware: reject a request whose body does not match the schema
+function validateBody(schema) {
+  return (req, res, next) => {
+    const issues = validate(schema, req.body || {});
+    if (issues.length > 0) {
+      return res.status(400).json(validationError(issues));
+    }
+    next();
+  };
+}
+
+// Error body with a machine-readable `code` next to its message, so clients
+// can tell a missing game from a stale version without parsing text
+function withErrorCode(status, body) {
+  if (status >= 400 && body && typeof body.error === 'string' && !body.code) {
+    return { ...body, code: STATUS_CODES[status] || 'error' };
+  }
+  return body;
+}
+
+// Apply withErrorCode to every JSON response
+function addErrorCodes(req, res, next) {
+  const json = res.json.bind(res);
+  res.json = body => json(withErrorCode(res.statusCode, body));
+  next();
+}
+
+// Last error handler: malformed or oversized JSON bodies get the same shape
+function handleRequestError(error, req, res, next) {
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Request body is not valid JSON', code: 'invalid_json' });
+  }
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json({ error: 'Request body is too large' });
+  }
+  console.error(error);
+  res.status(500).json({ error: 'Internal server error', code: 'internal_error' });
+}
+
+module.exports = {
+  validate,
+  issueAt,
+  joinPath,
+  validationError,
+  validateBody,
+  withErrorCode,
+  addErrorCodes,
+  handleRequestError
+};
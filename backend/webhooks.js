@@ -0,0 +1,245 @@
+// backend/webhooks.js
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { v4: uuidv4 } = require('uuid');
+
+// Events a subscription can ask for; the same names are emitted over Socket.IO
+const WEBHOOK_EVENTS = ['gameCreated', 'scoreUpdate', 'gameCompleted', 'matchStarted', 'standingsUpdated'];
+
+// Wait before each retry of a failed delivery; it is given up after the last
+const RETRY_DELAYS_MS = [10 * 1000, 60 * 1000, 5 * 60 * 1000, 30 * 60 * 1000, 2 * 60 * 60 * 1000];
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+// Oldest deliveries are dropped from the log beyond this many per subscription
+const MAX_LOGGED_DELIVERIES = 200;
+
+class WebhookSubscription {
+  constructor(tournamentId, url, events, options = {}) {
+    this.id = uuidv4();
+    this.tournamentId = tournamentId;
+    this.url = url;
+    this.events = events;
+    this.description = options.description || null;
+    // Shared with the receiver to check the X-Webhook-Signature header
+    this.secret = crypto.randomBytes(24).toString('hex');
+    this.active = true;
+    this.createdAt = new Date();
+  }
+
+  toRecord() {
+    return JSON.parse(JSON.stringify(this));
+  }
+
+  static fromRecord(record) {
+    const subscription = Object.assign(Object.create(WebhookSubscription.prototype), record);
+    subscription.createdAt = new Date(record.createdAt);
+    return subscription;
+  }
+
+  // Listing for organizers; the secret is only shown on creation
+  getSummary() {
+    return {
+      id: this.id,
+      tournamentId: this.tournamentId,
+      url: this.url,
+      events: this.events,
+      description: this.description,
+      active: this.active,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+class WebhookDelivery {
+  constructor(subscription, event, data) {
+    this.id = uuidv4();
+    this.subscriptionId = subscription.id;
+    this.tournamentId = subscription.tournamentId;
+    this.event = event;
+    this.payload = {
+      id: this.id,
+      event,
+      tournamentId: subscription.tournamentId,
+      occurredAt: new Date(),
+      data
+    };
+    this.status = 'pending'; // pending, succeeded, failed
+    this.attempts = []; // { at, statusCode, error, durationMs }
+    this.retryFrom = 0; // attempts before this index belong to earlier rounds
+    this.nextAttemptAt = new Date();
+    this.createdAt = new Date();
+  }
+
+  toRecord() {
+    return JSON.parse(JSON.stringify(this));
+  }
+
+  static fromRecord(record) {
+    const delivery = Object.assign(Object.create(WebhookDelivery.prototype), record);
+    delivery.createdAt = new Date(record.createdAt);
+    delivery.nextAttemptAt = record.nextAttemptAt ? new Date(record.nextAttemptAt) : null;
+    delivery.retryFrom = record.retryFrom || 0;
+    return delivery;
+  }
+}
+
+// HMAC-SHA256 over "<timestamp>.<body>", so a captured request cannot be
+// replayed later under a new timestamp
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// POST a JSON body; resolves with { statusCode } or { error }, never rejects
+function postJson(url, body, headers) {
+  return new Promise(resolve => {
+    let target;
+    try {
+      target = new URL(url);
+    } catch (error) {
+      resolve({ error: 'Invalid URL' });
+      return;
+    }
+
+    const client = target.protocol === 'https:' ? https : http;
+    const request = client.request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      timeout: REQUEST_TIMEOUT_MS
+    }, response => {
+      response.resume();
+      response.on('end', () => resolve({ statusCode: response.statusCode }));
+    });
+    request.on('timeout', () => request.destroy(new Error('Request timed out')));
+    request.on('error', error => resolve({ error: error.message }));
+    request.end(body);
+  });
+}
+
+// Fans events out to the subscriptions of their tournament. Every delivery
+// is logged; failures are retried on RETRY_DELAYS_MS and can be redelivered.
+class WebhookDispatcher {
+  constructor(subscriptions, deliveries) {
+    this.subscriptions = subscriptions; // Repository of WebhookSubscription
+    this.deliveries = deliveries; // Repository of WebhookDelivery
+    this.timers = new Map();
+  }
+
+  publish(tournamentId, event, data) {
+    this.subscriptions.forEach(subscription => {
+      if (!subscription.active || subscription.tournamentId !== tournamentId) return;
+      if (!subscription.events.includes(event)) return;
+      this.deliver(subscription, event, data);
+    });
+  }
+
+  // Log and send one event to one subscription, whatever it subscribes to
+  deliver(subscription, event, data) {
+    const delivery = new WebhookDelivery(subscription, event, data);
+    this.deliveries.set(delivery.id, delivery);
+    this.pruneLog(subscription.id);
+    this.attempt(delivery);
+    return delivery;
+  }
+
+  async attempt(delivery) {
+    this.timers.delete(delivery.id);
+    const subscription = this.subscriptions.get(delivery.subscriptionId);
+    if (!subscription) return;
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+    const result = await postJson(subscription.url, body, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'pickleball-tournament-webhooks',
+      'X-Webhook-Id': delivery.id,
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Timestamp': String(timestamp),
+      'X-Webhook-Signature': `sha256=${signPayload(subscription.secret, timestamp, body)}`
+    });
+
+    // The log may have dropped the delivery while the request was out
+    if (!this.deliveries.has(delivery.id)) return;
+
+    const succeeded = result.statusCode >= 200 && result.statusCode < 300;
+    delivery.attempts.push({
+      at: new Date(startedAt),
+      statusCode: result.statusCode || null,
+      error: result.error || (succeeded ? null : `HTTP ${result.statusCode}`),
+      durationMs: Date.now() - startedAt
+    });
+
+    const retryDelay = RETRY_DELAYS_MS[delivery.attempts.length - delivery.retryFrom - 1];
+    if (succeeded) {
+      delivery.status = 'succeeded';
+      delivery.nextAttemptAt = null;
+    } else if (retryDelay === undefined) {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = null;
+    } else {
+      delivery.nextAttemptAt = new Date(Date.now() + retryDelay);
+      this.schedule(delivery);
+    }
+    this.deliveries.save(delivery);
+  }
+
+  schedule(delivery) {
+    clearTimeout(this.timers.get(delivery.id));
+    const delay = Math.max(0, new Date(delivery.nextAttemptAt) - Date.now());
+    const timer = setTimeout(() => this.attempt(delivery), delay);
+    // Pending retries must not keep the process alive on shutdown
+    timer.unref();
+    this.timers.set(delivery.id, timer);
+  }
+
+  // Send a logged delivery again now, with a fresh round of retries
+  redeliver(deliveryId) {
+    const delivery = this.deliveries.get(deliveryId);
+    if (!delivery) return null;
+
+    clearTimeout(this.timers.get(delivery.id));
+    delivery.status = 'pending';
+    delivery.retryFrom = delivery.attempts.length;
+    delivery.nextAttemptAt = new Date();
+    this.deliveries.save(delivery);
+    this.attempt(delivery);
+    return delivery;
+  }
+
+  // Pick up retries that were waiting when the server stopped
+  resume() {
+    this.deliveries.forEach(delivery => {
+      if (delivery.status === 'pending') this.schedule(delivery);
+    });
+  }
+
+  getDeliveries(subscriptionId) {
+    return Array.from(this.deliveries.values())
+      .filter(delivery => delivery.subscriptionId === subscriptionId)
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  removeSubscription(subscriptionId) {
+    this.getDeliveries(subscriptionId).forEach(delivery => {
+      clearTimeout(this.timers.get(delivery.id));
+      this.timers.delete(delivery.id);
+      this.deliveries.delete(delivery.id);
+    });
+    this.subscriptions.delete(subscriptionId);
+  }
+
+  pruneLog(subscriptionId) {
+    this.getDeliveries(subscriptionId)
+      .slice(MAX_LOGGED_DELIVERIES)
+      .filter(delivery => delivery.status !== 'pending')
+      .forEach(delivery => this.deliveries.delete(delivery.id));
+  }
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  WebhookSubscription,
+  WebhookDelivery,
+  WebhookDispatcher,
+  signPayload
+};